@@ -1,10 +1,28 @@
 /* ============================================================================
    script.js — WebGIS front-end (Leaflet)
    Purpose:
-     - Render polygons from your GeoJSON API (public.buildings via /buildings)
-     - Support local file import, multi-select, rectangle-select
-     - Show attribute table and export selected to GeoJSON/CSV
-     - Provide explicit "Reload" + optional auto-refresh
+     - Render polygons from your GeoJSON API (layers listed by /layers)
+       or as vector tiles for large layers
+     - Support local file import (GeoJSON, Shapefile, KML, GPX, CSV) with
+       upload to PostGIS, multi-select, rectangle-select and
+       polygon / circle / nearest spatial queries on the server
+     - Data-driven styling (graduated / categorical / proportional) with a
+       legend, saved per layer on the server
+     - Show attribute table + statistics (selection / current view) and
+       export selected to GeoJSON/CSV, or through
+       the server to GeoJSON/CSV/GeoPackage/Shapefile/KML
+     - Provide explicit "Reload" + live updates pushed over /events (SSE)
+     - Sign in (JWT) before calling the API; roles decide what is editable
+     - Saved views on the server and URL-hash permalinks
+     - Offline mode: layers and basemap areas cached in IndexedDB (sw.js),
+       edits queued while offline and synced when the connection returns
+     - Search box with autocomplete across all layers (/search)
+     - Time slider for layers with start/end dates (?datetime=)
+     - Print layout (A4/A3, scale, legend, scale bar, north arrow, table of
+       the selection) and server-side PDF reports (/reports)
+     - Geometry QA panel (/qa): invalid, overlaps, gaps, duplicates, outside blocks
+     - Geodesic measuring (distance, area, perimeter; metric / imperial) and
+       computed area / perimeter / centroid columns for the selection
    ============================================================================ */
 
 /* =========================
@@ -17,25 +35,13 @@
 // put your real deployed API URL here (must be HTTPS for Netlify)
 const API_BASE = "https://webgis-api.up.railway.app";
 
-// load buildings from API with no-cache so QGIS edits show up
-fetch(`${API_BASE}/buildings?limit=10000&_=${Date.now()}`, { cache: 'no-store' })
-  .then(r => r.json())
-  .then(geojson => {
-    if (window.bldgLayer) map.removeLayer(window.bldgLayer);
-    window.bldgLayer = L.geoJSON(geojson, {
-      style: { weight: 2, fillOpacity: 0.25 },
-      onEachFeature: (f, l) => l.bindPopup(`<b>${f.properties.name ?? f.properties.id ?? 'Building'}</b>`)
-    }).addTo(map);
-    try { map.fitBounds(window.bldgLayer.getBounds(), { maxZoom: 16 }); } catch {}
-  })
-  .catch(err => console.error("API error:", err));
-
 
 /* ============================================================================
    1) MAP & BASEMAP
    ============================================================================ */
 let map = L.map('map').setView([0, 0], 2);
-L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+const BASEMAP_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'; // also saved offline (section 21)
+L.tileLayer(BASEMAP_URL, {
   attribution: '© OpenStreetMap contributors'
 }).addTo(map);
 
@@ -51,11 +57,22 @@ let geojsonLayer = L.geoJSON(null, {
 let selected = new Map();      // layerId -> { feature, layer }
 let allPropertyKeys = [];      // union of property keys for attribute table
 let buildingsLayerRef = null;  // keep reference to easily replace on reload
+let layerCatalog = [];         // entries from GET /layers
+let activeLayer = 'buildings'; // layer name loaded by fetchBuildings()
+let activeFilter = '';         // CQL2-text filter from the query builder
+let activeDatetime = '';       // datetime instant or interval from the time slider (section 23)
+
+let layerStyle = null;          // shared style of the active layer (section 18)
+let measureUnits = localStorage.getItem('webgis_units') || 'metric'; // 'metric' | 'imperial' (section 26)
 
-function defaultStyle(_) { return { color: '#3388ff', weight: 2, fillOpacity: 0.2 }; }
-function selectedStyle(_) { return { color: '#ff7800', weight: 3, fillOpacity: 0.35 }; }
+// data-driven symbol on top of the base style when the layer has one
+function defaultStyle(feature) {
+  const base = { color: '#3388ff', weight: 2, fillOpacity: 0.2 };
+  return layerStyle ? { ...base, ...styleSymbol(layerStyle, feature?.properties || {}) } : base;
+}
+function selectedStyle(_) { return { color: '#ff7800', fillColor: '#ff7800', weight: 3, fillOpacity: 0.35 }; }
 function makePoint(feature, latlng) {
-  return L.circleMarker(latlng, { radius: 6, color: '#3388ff', fillOpacity: 0.9 });
+  return L.circleMarker(latlng, { radius: 6, ...defaultStyle(feature), fillOpacity: 0.9 });
 }
 
 /* ============================================================================
@@ -65,7 +82,7 @@ function onEachFeature(feature, layer) {
   if (feature.properties) {
     const lines = Object.entries(feature.properties)
       .slice(0, 10)
-      .map(([k, v]) => `<b>${k}</b>: ${v}`);
+      .map(([k, v]) => `<b>${escapeHtml(k)}</b>: ${escapeHtml(v ?? '')}`); // attribute values are user data
     layer.bindPopup(`<div style="max-width:240px">${lines.join('<br/>')}</div>`);
   }
   layer.on('click', () => toggleSelect(layer));
@@ -78,7 +95,7 @@ function toggleSelect(layer) {
     geojsonLayer.resetStyle(layer);
   } else {
     selected.set(lid, { feature: layer.feature, layer: layer });
-    try { layer.setStyle(selectedStyle(layer.feature)); } catch {}
+    try { layer.setStyle(selectedStyle(layer.feature)); layer.bringToFront(); } catch {}
   }
   updateAttributeTable();
 }
@@ -86,7 +103,7 @@ function toggleSelect(layer) {
 /* ============================================================================
    4) LOADING & DRAWING GEOJSON (from API or file)
    ============================================================================ */
-function loadGeoJSON(obj) {
+function loadGeoJSON(obj, { fit = true } = {}) {
   // clear live layer & selection
   geojsonLayer.clearLayers();
   selected.clear();
@@ -107,59 +124,323 @@ function loadGeoJSON(obj) {
   }
 
   // zoom to data if present
-  try { map.fitBounds(geojsonLayer.getBounds(), { maxZoom: 16 }); } catch {}
+  if (fit) try { map.fitBounds(geojsonLayer.getBounds(), { maxZoom: 16 }); } catch {}
   updateAttributeTable();
 }
 
 /* ============================================================================
-   5) FETCH FROM API (public.buildings)
+   5) FETCH FROM API (active layer, public.buildings by default)
    - No cache to ensure we see latest QGIS edits
-   - ?limit=10000 to avoid truncation for larger sets
-   - Optional q= and bbox= (wire UI later if needed)
+   - Pages are ordered by id; follows the `next` link until every page is in,
+     so large layers are no longer cut off at 10000 features
+   - Optional q=, bbox= and ids=; filter= comes from the query builder (section 14),
+     datetime= from the time slider (section 23)
    ============================================================================ */
 async function fetchBuildings(params = {}) {
   const q = params.q ? `&q=${encodeURIComponent(params.q)}` : '';
   const bbox = params.bbox ? `&bbox=${params.bbox}` : '';
-  const url = `${API_BASE}/buildings?limit=10000${q}${bbox}&_=${Date.now()}`; // cache-buster
-  const resp = await fetch(url, { cache: 'no-store' });
-  if (!resp.ok) throw new Error(`API ${resp.status}: ${await resp.text()}`);
-  const data = await resp.json();
-  return data;
+  const ids = params.ids?.length ? `&ids=${encodeURIComponent(params.ids.join(','))}` : '';
+  const filterText = params.filter ?? activeFilter;
+  const filter = filterText ? `&filter=${encodeURIComponent(filterText)}` : '';
+  const datetimeText = params.datetime ?? activeDatetime;
+  const datetime = datetimeText ? `&datetime=${encodeURIComponent(datetimeText)}` : '';
+  const layer = encodeURIComponent(params.layer || activeLayer);
+  let url = `${API_BASE}/layers/${layer}?limit=5000${q}${bbox}${ids}${filter}${datetime}&_=${Date.now()}`; // cache-buster
+
+  const features = [];
+  let numberMatched = 0;
+  while (url) {
+    const resp = await apiFetch(url, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`API ${resp.status}: ${await resp.text()}`);
+    const page = await resp.json();
+    features.push(...page.features);
+    numberMatched = page.numberMatched ?? features.length;
+    url = page.links?.find(l => l.rel === 'next')?.href || null;
+    if (url) setLoading(true, `Loading ${layerTitle(activeLayer)}… ${features.length}/${numberMatched}`);
+  }
+  return { type: 'FeatureCollection', numberMatched, features };
 }
 
+// params.keepView: don't zoom to the loaded data (time slider steps)
 async function loadBuildingsFromAPI(params = {}) {
-  setLoading(true, "Loading buildings…");
+  if (renderMode === 'tiles') { clearSelection(); showVectorTiles({ fit: !params.keepView }); return; } // tiles fetch themselves
+  setLoading(true, `Loading ${layerTitle(activeLayer)}…`);
   try {
     const gj = await fetchBuildings(params);
     // replace current layer display
-    loadGeoJSON(gj);
+    loadGeoJSON(gj, { fit: !params.keepView });
+    if (!params.q && !params.bbox && !params.ids && !(params.datetime ?? activeDatetime)) cacheLayer(activeLayer, params.filter ?? activeFilter, gj.features);
+    setOfflineStatus(null);
   } catch (err) {
+    // offline or API down: keep working with the last copy (section 21)
     console.error(err);
-    alert("Failed to load buildings from API.\n" + err.message);
+    const cached = await readCachedLayer(activeLayer, params.filter ?? activeFilter, params.datetime ?? activeDatetime).catch(() => null);
+    if (cached) loadGeoJSON({ type: 'FeatureCollection', features: cached.features }, { fit: !params.keepView });
+    setOfflineStatus(cached
+      ? `Showing ${layerTitle(activeLayer)} saved ${new Date(cached.savedAt).toLocaleString()}`
+      : `Could not load ${layerTitle(activeLayer)}: ${err.message}`);
   } finally {
     setLoading(false);
   }
 }
 
 /* ============================================================================
-   6) FILE INPUT (local GeoJSON import)
+   6) FILE INPUT (local import: GeoJSON, zipped Shapefile, KML, GPX, CSV)
+   - Parsed in the browser, shown on the map, then optionally uploaded to
+     PostGIS with POST /imports (existing layer or new table)
+   - Needs on the page for the non-GeoJSON formats:
+       shpjs      https://unpkg.com/shpjs@4.0.4/dist/shp.js          (zip + .prj reprojection)
+       togeojson  https://unpkg.com/@tmcw/togeojson@5.8.1/dist/togeojson.umd.js
+       proj4      https://unpkg.com/proj4@2.9.2/dist/proj4.js        (CSV reprojection)
+   - CSV opens a column-mapping dialog: lat/lon columns or a WKT column,
+     plus the source CRS (EPSG code or proj4 string)
    ============================================================================ */
-document.getElementById('file-input')?.addEventListener('change', function (e) {
+let lastImport = null;         // { name, geojson } of the last file loaded
+
+const fileInput = document.getElementById('file-input');
+if (fileInput) fileInput.accept = '.geojson,.json,.zip,.kml,.gpx,.csv';
+
+fileInput?.addEventListener('change', async function (e) {
   const f = e.target.files?.[0];
+  e.target.value = null;
   if (!f) return;
-  const reader = new FileReader();
-  reader.onload = function (ev) {
-    try {
-      const obj = JSON.parse(ev.target.result);
-      loadGeoJSON(obj);
-    } catch (err) {
-      alert('Invalid GeoJSON file.');
-      console.error(err);
+  try {
+    const gj = await parseImportFile(f);
+    if (!gj) return; // dialog cancelled
+    if (!gj.features?.length) throw new Error('No features found in the file.');
+    lastImport = { name: f.name.replace(/\.[^.]+$/, ''), geojson: gj };
+    loadGeoJSON(gj);
+    showImportPanel();
+  } catch (err) {
+    alert(`Could not read ${f.name}.\n${err.message}`);
+    console.error(err);
+  }
+});
+
+async function parseImportFile(file) {
+  const ext = file.name.split('.').pop().toLowerCase();
+  if (ext === 'zip') {
+    if (!window.shp) throw new Error('Shapefile import needs shpjs on this page.');
+    const out = await shp(await file.arrayBuffer()); // reprojects from the .prj
+    const list = Array.isArray(out) ? out : [out];
+    return { type: 'FeatureCollection', features: list.flatMap(fc => fc.features) };
+  }
+  if (ext === 'kml' || ext === 'gpx') {
+    if (!window.toGeoJSON) throw new Error('KML/GPX import needs togeojson on this page.');
+    const dom = new DOMParser().parseFromString(await file.text(), 'text/xml');
+    if (dom.querySelector('parsererror')) throw new Error('The file is not valid XML.');
+    return toGeoJSON[ext](dom);
+  }
+  if (ext === 'csv') {
+    const rows = parseCSV(await file.text());
+    if (rows.length < 2) throw new Error('The CSV has no data rows.');
+    const mapping = await showCsvMappingDialog(rows[0]);
+    return mapping ? csvToGeoJSON(rows, mapping) : null;
+  }
+  const obj = JSON.parse(await file.text());
+  if (obj.type === 'Feature') return { type: 'FeatureCollection', features: [obj] };
+  if (obj.type !== 'FeatureCollection') throw new Error('Not a GeoJSON FeatureCollection.');
+  return obj;
+}
+
+// RFC 4180-ish: quoted fields, "" escapes, , or ; separator (guessed from the header)
+function parseCSV(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') >>> 0);
+  const sep = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.some(v => v !== '')) rows.push(row);
+      row = [];
+    } else cell += c;
+  }
+  row.push(cell);
+  if (row.some(v => v !== '')) rows.push(row);
+  return rows;
+}
+
+function showCsvMappingDialog(header) {
+  const guess = re => header.findIndex(h => re.test(h.trim()));
+  const opts = sel => header.map((h, i) => `<option value="${i}"${i === sel ? ' selected' : ''}>${escapeHtml(h)}</option>`).join('');
+  const lat = guess(/^(lat|latitude|y|lintang)$/i);
+  const lon = guess(/^(lon|lng|long|longitude|x|bujur)$/i);
+  const wkt = guess(/^(wkt|geom|geometry|the_geom)$/i);
+
+  return new Promise(resolve => {
+    const el = document.createElement('div');
+    el.className = 'conflict-dialog';
+    el.innerHTML = `
+      <div class="conflict-box">
+        <h3>CSV columns</h3>
+        <div class="control-row">
+          <label><input type="radio" name="csv-mode" value="xy"${wkt < 0 ? ' checked' : ''}> Lat / lon columns</label>
+          <label><input type="radio" name="csv-mode" value="wkt"${wkt >= 0 ? ' checked' : ''}> WKT column</label>
+        </div>
+        <div class="control-row">Latitude (Y) <select id="csv-lat">${opts(lat)}</select>
+          Longitude (X) <select id="csv-lon">${opts(lon)}</select></div>
+        <div class="control-row">WKT <select id="csv-wkt">${opts(wkt)}</select></div>
+        <div class="control-row">Source CRS <input type="text" id="csv-crs" value="EPSG:4326" size="28"
+          title="EPSG code (4326, 3857, UTM 326xx/327xx) or a proj4 string"></div>
+        <div class="control-row">
+          <button data-choice="ok">Import</button>
+          <button data-choice="cancel">Cancel</button>
+        </div>
+      </div>`;
+    el.addEventListener('click', e => {
+      const choice = e.target.dataset?.choice;
+      if (!choice) return;
+      const val = id => el.querySelector(id).value;
+      el.remove();
+      if (choice === 'cancel') return resolve(null);
+      resolve({
+        mode: el.querySelector('input[name="csv-mode"]:checked').value,
+        lat: Number(val('#csv-lat')), lon: Number(val('#csv-lon')), wkt: Number(val('#csv-wkt')),
+        crs: val('#csv-crs').trim() || 'EPSG:4326'
+      });
+    });
+    document.body.appendChild(el);
+  });
+}
+
+// proj4 definition for an EPSG code or a raw proj4 string (UTM zones built in)
+function projDefinition(crs) {
+  const m = /^(?:EPSG:)?(\d+)$/i.exec(crs);
+  if (!m) return crs;
+  const code = Number(m[1]);
+  if (code === 4326 || code === 3857) return `EPSG:${code}`;
+  if (code > 32600 && code <= 32660) return `+proj=utm +zone=${code - 32600} +datum=WGS84 +units=m +no_defs`;
+  if (code > 32700 && code <= 32760) return `+proj=utm +zone=${code - 32700} +south +datum=WGS84 +units=m +no_defs`;
+  throw new Error(`Unknown CRS EPSG:${code}; paste its proj4 string instead.`);
+}
+
+function csvToGeoJSON(rows, mapping) {
+  const [header, ...data] = rows;
+  const src = projDefinition(mapping.crs);
+  const needsProj = src !== 'EPSG:4326';
+  if (needsProj && !window.proj4) throw new Error('Reprojection needs proj4 on this page.');
+  const toWgs = xy => (needsProj ? proj4(src, 'EPSG:4326', xy) : xy);
+  const mapCoords = (c) => (typeof c[0] === 'number' ? toWgs(c) : c.map(mapCoords));
+
+  const features = [];
+  data.forEach((r, i) => {
+    const properties = {};
+    header.forEach((h, j) => {
+      if ((mapping.mode === 'wkt' && j === mapping.wkt)) return;
+      const v = r[j] ?? '';
+      properties[h] = v !== '' && !isNaN(Number(v)) ? Number(v) : v;
+    });
+    let geometry = null;
+    if (mapping.mode === 'xy') {
+      const x = Number(String(r[mapping.lon]).replace(',', '.'));
+      const y = Number(String(r[mapping.lat]).replace(',', '.'));
+      if (Number.isFinite(x) && Number.isFinite(y)) geometry = { type: 'Point', coordinates: toWgs([x, y]) };
+    } else {
+      geometry = parseWKT(r[mapping.wkt] || '');
+      if (geometry) geometry.coordinates = mapCoords(geometry.coordinates);
     }
+    if (geometry) features.push({ type: 'Feature', properties, geometry });
+    else console.warn(`CSV row ${i + 2}: no usable geometry, skipped`);
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+// WKT → GeoJSON geometry (POINT/LINESTRING/POLYGON and MULTI*), null if unreadable
+function parseWKT(wkt) {
+  const m = /^\s*(?:SRID=\d+;)?\s*(MULTIPOLYGON|MULTILINESTRING|MULTIPOINT|POLYGON|LINESTRING|POINT)\s*(?:Z|M|ZM)?\s*(\(.*\))\s*$/i.exec(wkt);
+  if (!m) return null;
+  const types = {
+    POINT: 'Point', LINESTRING: 'LineString', POLYGON: 'Polygon',
+    MULTIPOINT: 'MultiPoint', MULTILINESTRING: 'MultiLineString', MULTIPOLYGON: 'MultiPolygon'
   };
-  reader.readAsText(f);
-  e.target.value = null;
-});
+  // nested parentheses → nested arrays; "x y" pairs → [x, y]
+  const json = m[2]
+    .replace(/(-?[\d.eE+-]+)\s+(-?[\d.eE+-]+)(?:\s+-?[\d.eE+-]+)*/g, '[$1,$2]')
+    .replace(/\(/g, '[').replace(/\)/g, ']');
+  try {
+    let coordinates = JSON.parse(json);
+    const type = types[m[1].toUpperCase()];
+    if (type === 'Point') coordinates = coordinates[0];
+    if (type === 'MultiPoint') coordinates = coordinates.map(c => (Array.isArray(c[0]) ? c[0] : c));
+    return { type, coordinates };
+  } catch {
+    return null;
+  }
+}
+
+// Upload panel: appears after a file is loaded
+function showImportPanel() {
+  let panel = document.getElementById('import-panel');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'import-panel';
+    (fileInput?.parentElement || document.body).insertAdjacentElement('afterend', panel);
+  }
+  const editable = layerCatalog.filter(l => l.editable);
+  panel.innerHTML = `
+    <div class="qb-title">Upload "${escapeHtml(lastImport.name)}" (${lastImport.geojson.features.length} features) to PostGIS</div>
+    <div class="control-row">
+      <select id="import-target">
+        <option value="">New table…</option>
+        ${editable.map(l => `<option value="${escapeHtml(l.name)}">Append to ${escapeHtml(l.title)}</option>`).join('')}
+      </select>
+      <input type="text" id="import-table" value="${escapeHtml(lastImport.name)}" placeholder="table name">
+    </div>
+    <div class="control-row">
+      <label><input type="checkbox" id="import-fix"> Repair invalid geometries</label>
+      <button id="import-upload">Upload</button>
+    </div>
+    <div id="import-report"></div>`;
+  panel.querySelector('#import-target').addEventListener('change', e => {
+    panel.querySelector('#import-table').style.display = e.target.value ? 'none' : '';
+  });
+  panel.querySelector('#import-upload').addEventListener('click', uploadImport);
+}
+
+async function uploadImport() {
+  const panel = document.getElementById('import-panel');
+  const target = panel.querySelector('#import-target').value;
+  const body = {
+    features: lastImport.geojson.features,
+    fixInvalid: panel.querySelector('#import-fix').checked
+  };
+  if (target) body.layer = target;
+  else body.table = panel.querySelector('#import-table').value.trim() || lastImport.name;
+
+  setLoading(true, 'Uploading to PostGIS…');
+  try {
+    const resp = await apiFetch(`${API_BASE}/imports`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await resp.json();
+    if (!resp.ok) throw new Error(result.error || `API ${resp.status}`);
+
+    const issues = result.report.map(r =>
+      `<li>#${r.index + 1}: ${escapeHtml(r.error)}${r.fixed ? ' (repaired)' : ' (skipped)'}</li>`).join('');
+    panel.querySelector('#import-report').innerHTML =
+      `<p>${result.inserted} inserted into <b>${escapeHtml(result.table)}</b>, ${result.skipped} skipped.` +
+      (result.ignoredFields.length ? ` Ignored fields: ${escapeHtml(result.ignoredFields.join(', '))}.` : '') + '</p>' +
+      (issues ? `<ul class="import-issues">${issues}</ul>` : '');
+
+    await loadLayerCatalog(); // a new table shows up as a layer
+  } catch (err) {
+    console.error(err);
+    alert('Upload failed.\n' + err.message);
+  } finally {
+    setLoading(false);
+  }
+}
 
 /* ============================================================================
    7) SELECTION CONTROLS (select all / deselect all / clear)
@@ -169,23 +450,26 @@ document.getElementById('select-all')?.addEventListener('click', function () {
     const lid = layer._leaflet_id;
     if (!selected.has(lid)) {
       selected.set(lid, { feature: layer.feature, layer: layer });
-      try { layer.setStyle(selectedStyle(layer.feature)); } catch {}
+      try { layer.setStyle(selectedStyle(layer.feature)); layer.bringToFront(); } catch {}
     }
   });
   updateAttributeTable();
 });
 
-document.getElementById('deselect-all')?.addEventListener('click', function () {
-  selected.forEach(val => { try { geojsonLayer.resetStyle(val.layer); } catch {} });
-  selected.clear();
-  updateAttributeTable();
-});
+document.getElementById('deselect-all')?.addEventListener('click', clearSelection);
+document.getElementById('clear-selection')?.addEventListener('click', clearSelection);
 
-document.getElementById('clear-selection')?.addEventListener('click', function () {
-  selected.forEach(val => { try { geojsonLayer.resetStyle(val.layer); } catch {} });
+function clearSelection() {
+  selected.forEach(resetSelectedStyle);
   selected.clear();
   updateAttributeTable();
-});
+}
+
+// entries from GeoJSON have a Leaflet layer; vector tile entries only an id
+function resetSelectedStyle(entry) {
+  if (entry.layer) { try { geojsonLayer.resetStyle(entry.layer); } catch {} }
+  else if (vectorTiles) vectorTiles.resetFeatureStyle(entry.feature.id);
+}
 
 /* ============================================================================
    8) EXPORT (selected → GeoJSON / CSV)
@@ -202,15 +486,25 @@ document.getElementById('export-geojson')?.addEventListener('click', function ()
 document.getElementById('export-csv')?.addEventListener('click', function () {
   if (selected.size === 0) { alert('No features selected'); return; }
   const keys = allPropertyKeys;
+  const [areaUnit, lengthUnit] = measureUnits === 'imperial' ? ['ft2', 'ft'] : ['m2', 'm'];
   const rows = [];
-  rows.push(keys.join(','));
+  rows.push([...keys, `area_${areaUnit}`, `perimeter_${lengthUnit}`, 'centroid_lon', 'centroid_lat'].join(','));
   for (let { feature } of selected.values()) {
     const props = feature.properties || {};
     const row = keys.map(k => {
       const v = props[k] !== undefined ? String(props[k]) : '';
       return `"${v.replace(/"/g, '""')}"`; // CSV-escape
-    }).join(',');
-    rows.push(row);
+    });
+    // computed geodesic columns (section 26); empty for vector tile selections
+    const m = feature.geometry ? measureGeometry(feature.geometry) : null;
+    const toUnit = (v, metres) => (measureUnits === 'imperial' ? v / metres : v);
+    row.push(
+      m ? toUnit(m.area, SQ_FOOT).toFixed(2) : '',
+      m ? toUnit(m.perimeter || m.length, FOOT).toFixed(2) : '',
+      m?.centroid ? m.centroid[0].toFixed(7) : '',
+      m?.centroid ? m.centroid[1].toFixed(7) : ''
+    );
+    rows.push(row.join(','));
   }
   const blob = new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8' });
   const url = URL.createObjectURL(blob);
@@ -218,10 +512,42 @@ document.getElementById('export-csv')?.addEventListener('click', function () {
   URL.revokeObjectURL(url);
 });
 
+// Server-side export with geometry in any format (GET /layers/:name/export):
+// the selected features by id, or the whole active layer (with the current
+// filter) when nothing from the API is selected. Optional target EPSG code.
+const EXPORT_FORMATS = [
+  ['geojson', 'GeoJSON'], ['csv', 'CSV (WKT geometry)'], ['gpkg', 'GeoPackage'],
+  ['shp', 'Shapefile (zip)'], ['kml', 'KML']
+];
+
+const exportBox = document.createElement('span');
+exportBox.className = 'export-box';
+exportBox.innerHTML =
+  `<select id="export-format">${EXPORT_FORMATS.map(([v, t]) => `<option value="${v}">${t}</option>`).join('')}</select>` +
+  '<input type="text" id="export-srs" placeholder="EPSG (4326)" size="8">' +
+  '<button id="export-server">Download</button>';
+document.getElementById('export-csv')?.insertAdjacentElement('afterend', exportBox);
+
+exportBox.querySelector('#export-server').addEventListener('click', function () {
+  const qs = new URLSearchParams({ format: exportBox.querySelector('#export-format').value });
+  const srs = exportBox.querySelector('#export-srs').value.trim();
+  if (srs) qs.set('srs', srs);
+
+  const ids = Array.from(selected.values()).map(v => v.feature.id).filter(id => id !== undefined);
+  if (ids.length) qs.set('ids', ids.join(','));
+  else {
+    if (activeFilter) qs.set('filter', activeFilter);
+    if (activeDatetime) qs.set('datetime', activeDatetime);
+  }
+
+  apiDownload(`${API_BASE}/layers/${encodeURIComponent(activeLayer)}/export?${qs}`, `${activeLayer}.${qs.get('format')}`);
+});
+
 /* ============================================================================
    9) ATTRIBUTE TABLE RENDERING + SEARCH
    ============================================================================ */
 function updateAttributeTable() {
+  schedulePermalink(); // the selection is part of the URL hash (section 20)
   const head = document.getElementById('table-head');
   const body = document.getElementById('table-body');
   if (!head || !body) return;
@@ -236,18 +562,30 @@ function updateAttributeTable() {
     });
   }
 
-  // header
+  // header (+ computed geodesic columns, section 26)
   let hrow = '<tr><th>#</th>';
-  keys.forEach(k => { hrow += `<th>${k}</th>`; });
-  hrow += '</tr>';
+  keys.forEach(k => { hrow += `<th>${escapeHtml(k)}</th>`; });
+  hrow += '<th class="computed">Area</th><th class="computed">Perimeter / length</th><th class="computed">Centroid</th></tr>';
   head.innerHTML = hrow;
 
-  // body
+  // body (cells of API features are editable when the layer is, see section 15)
+  const editable = isLayerEditable();
+  const idCol = layerIdColumn(activeLayer);
   let i = 1;
-  for (let { feature } of selected.values()) {
+  for (let [key, { feature }] of selected.entries()) {
     const props = feature.properties || {};
-    let row = `<tr><td>${i}</td>`;
-    keys.forEach(k => { row += `<td>${escapeHtml(props[k] !== undefined ? String(props[k]) : '')}</td>`; });
+    const canEdit = editable && feature.id !== undefined;
+    let row = `<tr data-key="${escapeHtml(String(key))}"><td>${i}</td>`;
+    keys.forEach(k => {
+      const attrs = canEdit && k !== idCol ? ` contenteditable="true" data-col="${escapeHtml(k)}"` : '';
+      row += `<td${attrs}>${escapeHtml(props[k] !== undefined && props[k] !== null ? String(props[k]) : '')}</td>`;
+    });
+    const m = feature.geometry ? measureGeometry(feature.geometry) : null;
+    row += m
+      ? `<td class="computed">${m.area ? formatArea(m.area) : ''}</td>` +
+        `<td class="computed">${m.perimeter || m.length ? formatLength(m.perimeter || m.length) : ''}</td>` +
+        `<td class="computed">${m.centroid ? `${m.centroid[1].toFixed(6)}, ${m.centroid[0].toFixed(6)}` : ''}</td>`
+      : '<td class="computed"></td><td class="computed"></td><td class="computed"></td>';
     row += '</tr>';
     body.insertAdjacentHTML('beforeend', row);
     i++;
@@ -265,42 +603,115 @@ document.getElementById('table-search')?.addEventListener('input', function (e)
 });
 
 function escapeHtml(s) {
-  return s.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
 
 /* ============================================================================
-   10) RECTANGLE SELECT (Leaflet.draw)
+   10) DRAW TO SELECT (Leaflet.draw)
+   - rectangle → box-select the loaded features (client-side)
+   - polygon   → POST /layers/:name/intersects
+   - circle    → POST /layers/:name/within (radius in metres)
+   - marker    → POST /layers/:name/nearest (asks for k)
    ============================================================================ */
 const drawnItems = new L.FeatureGroup().addTo(map);
+// edit/remove act on the loaded features (GeoJSON mode); see section 15
 const drawControl = new L.Control.Draw({
-  draw: { polyline: false, polygon: false, marker: false, circle: false, circlemarker: false, rectangle: { shapeOptions: { color: '#f06' } } },
-  edit: { featureGroup: drawnItems, edit: false, remove: false }
+  draw: {
+    polyline: false, circlemarker: false,
+    rectangle: { shapeOptions: { color: '#f06' } },
+    polygon: { shapeOptions: { color: '#f06' } },
+    circle: { shapeOptions: { color: '#f06' } },
+    marker: true
+  },
+  edit: { featureGroup: geojsonLayer }
 });
 map.addControl(drawControl);
 
 map.on(L.Draw.Event.CREATED, function (e) {
   const layer = e.layer;
+  if (measureMode) { addMeasurement(layer); return; } // measure control, section 26
+  if (drawMode === 'create' && e.layerType !== 'circle' && e.layerType !== 'rectangle') {
+    createFeature(layer.toGeoJSON().geometry);
+    return;
+  }
   drawnItems.addLayer(layer);
-  const rectBounds = layer.getBounds();
 
-  geojsonLayer.eachLayer(gLayer => {
-    if (gLayer.getLatLng) {
-      if (rectBounds.contains(gLayer.getLatLng())) selectLayer(gLayer);
-    } else if (gLayer.getBounds) {
-      if (rectBounds.intersects(gLayer.getBounds())) selectLayer(gLayer);
-    }
-  });
+  if (e.layerType === 'rectangle') {
+    const rectBounds = layer.getBounds();
+    geojsonLayer.eachLayer(gLayer => {
+      if (gLayer.getLatLng) {
+        if (rectBounds.contains(gLayer.getLatLng())) selectLayer(gLayer);
+      } else if (gLayer.getBounds) {
+        if (rectBounds.intersects(gLayer.getBounds())) selectLayer(gLayer);
+      }
+    });
+    updateAttributeTable();
+  } else {
+    runSpatialQuery(e.layerType, layer);
+  }
 
-  // remove rectangle after selection (UX preference)
+  // remove drawn shape after selection (UX preference)
   setTimeout(() => drawnItems.removeLayer(layer), 300);
-  updateAttributeTable();
 });
 
+async function runSpatialQuery(type, shape) {
+  let op, body;
+  if (type === 'circle') {
+    const c = shape.getLatLng();
+    op = 'within';
+    body = { geometry: { type: 'Point', coordinates: [c.lng, c.lat] }, distance: shape.getRadius() };
+  } else if (type === 'marker') {
+    const k = Number(prompt('How many nearest features?', '5'));
+    if (!k) return;
+    op = 'nearest';
+    body = { geometry: shape.toGeoJSON().geometry, k };
+  } else {
+    op = 'intersects';
+    body = { geometry: shape.toGeoJSON().geometry };
+  }
+
+  setLoading(true, 'Running spatial query…');
+  try {
+    const qs = new URLSearchParams();
+    if (activeFilter) qs.set('filter', activeFilter);
+    if (activeDatetime) qs.set('datetime', activeDatetime);
+    const resp = await apiFetch(`${API_BASE}/layers/${encodeURIComponent(activeLayer)}/${op}?${qs}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!resp.ok) throw new Error(`API ${resp.status}: ${await resp.text()}`);
+    const fc = await resp.json();
+    selectFeaturesById(fc.features);
+  } catch (err) {
+    console.error(err);
+    alert('Spatial query failed.\n' + err.message);
+  } finally {
+    setLoading(false);
+  }
+}
+
+// add API results to the selection, matched by feature id
+function selectFeaturesById(features) {
+  if (renderMode === 'tiles') {
+    features.forEach(f => {
+      const key = `tile:${f.id}`;
+      if (selected.has(key)) return;
+      selected.set(key, { feature: f, layer: null });
+      vectorTiles.setFeatureStyle(f.id, { ...selectedStyle(), fill: true });
+    });
+  } else {
+    const ids = new Set(features.map(f => f.id));
+    geojsonLayer.eachLayer(gLayer => { if (ids.has(gLayer.feature?.id)) selectLayer(gLayer); });
+  }
+  updateAttributeTable();
+}
+
 function selectLayer(gLayer) {
   const lid = gLayer._leaflet_id;
   if (!selected.has(lid)) {
     selected.set(lid, { feature: gLayer.feature, layer: gLayer });
-    try { gLayer.setStyle(selectedStyle(gLayer.feature)); } catch {}
+    try { gLayer.setStyle(selectedStyle(gLayer.feature)); gLayer.bringToFront(); } catch {}
   }
 }
 
@@ -322,11 +733,2021 @@ function setLoading(on, msg = 'Loading…') {
 // Add a basic reload button if your HTML has <button id="reload-api">Reload</button>
 document.getElementById('reload-api')?.addEventListener('click', () => loadBuildingsFromAPI());
 
-// OPTIONAL: auto-refresh every 20s (comment out if not desired)
-// setInterval(loadBuildingsFromAPI, 20000);
+// Live changes arrive over /events (section 16), so no polling reload is needed.
+
+/* ============================================================================
+   12) LAYER CATALOG (GET /layers)
+   - The server lists its registered layers (layers.json / WHITELIST)
+   - Fills the layer picker; picking a layer reloads it from the API
+   ============================================================================ */
+async function loadLayerCatalog() {
+  try {
+    const resp = await apiFetch(`${API_BASE}/layers`, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`API ${resp.status}: ${await resp.text()}`);
+    layerCatalog = (await resp.json()).layers || [];
+    cacheLayer(CATALOG_KEY, '', layerCatalog);
+  } catch (err) {
+    const cached = await readCachedLayer(CATALOG_KEY, '').catch(() => null);
+    if (!cached) throw err;
+    layerCatalog = cached.features; // offline: the catalog from the last visit
+  }
+  if (layerCatalog.length && !layerCatalog.some(l => l.name === activeLayer)) {
+    activeLayer = layerCatalog[0].name;
+  }
+  renderLayerPicker();
+}
+
+function layerTitle(name) {
+  return layerCatalog.find(l => l.name === name)?.title || name;
+}
+
+const layerPicker = L.control({ position: 'topright' });
+layerPicker.onAdd = function () {
+  const div = L.DomUtil.create('div', 'layer-picker');
+  L.DomEvent.disableClickPropagation(div);
+  div.innerHTML = '<label>Layer <select id="layer-select"></select></label>' +
+    '<label><input type="checkbox" id="tiles-toggle"> Vector tiles</label>' +
+    '<label><input type="checkbox" id="create-toggle"> Add features</label>' +
+    '<div class="auth-user"><span id="auth-user"></span> <button id="auth-logout">Log out</button></div>';
+  div.querySelector('select').addEventListener('change', e => {
+    activeLayer = e.target.value;
+    resetQueryBuilder(); // columns differ per layer
+    renderStatsGroupOptions();
+    renderTimeSlider();
+    loadLayerStyle();
+    loadBuildingsFromAPI();
+  });
+  div.querySelector('#tiles-toggle').addEventListener('change', e => {
+    setRenderMode(e.target.checked ? 'tiles' : 'geojson');
+    e.target.checked = renderMode === 'tiles';
+  });
+  div.querySelector('#create-toggle').addEventListener('change', e => {
+    drawMode = e.target.checked ? 'create' : 'select';
+  });
+  div.querySelector('#auth-logout').addEventListener('click', logout);
+  return div;
+};
+layerPicker.addTo(map);
+
+function renderLayerPicker() {
+  const sel = document.getElementById('layer-select');
+  if (!sel) return;
+  sel.innerHTML = layerCatalog.map(l =>
+    `<option value="${escapeHtml(l.name)}">${escapeHtml(l.title)} (${l.count})</option>`
+  ).join('');
+  sel.value = activeLayer;
+  resetQueryBuilder();
+  renderStatsGroupOptions();
+  renderTimeSlider();
+  loadLayerStyle();
+}
+
+/* ============================================================================
+   13) VECTOR TILE MODE (GET /tiles/:layer/:z/:x/:y.pbf)
+   - For large layers: the browser only fetches tiles in view
+   - Needs Leaflet.VectorGrid on the page:
+     https://unpkg.com/leaflet.vectorgrid@1.3.0/dist/Leaflet.VectorGrid.bundled.js
+   - Selection is keyed by feature id, so the attribute table works the same;
+     rectangle select only covers GeoJSON mode
+   ============================================================================ */
+let renderMode = 'geojson';    // 'geojson' | 'tiles'
+let vectorTiles = null;        // L.vectorGrid.protobuf layer in tiles mode
+
+function layerIdColumn(name) {
+  return layerCatalog.find(l => l.name === name)?.idColumn || 'id';
+}
+
+function showVectorTiles({ fit = true } = {}) {
+  if (vectorTiles) map.removeLayer(vectorTiles);
+  const idCol = layerIdColumn(activeLayer);
+  const entry = layerCatalog.find(l => l.name === activeLayer);
+  allPropertyKeys = (entry?.schema || []).map(c => c.name);
+
+  const qs = new URLSearchParams();
+  if (activeFilter) qs.set('filter', activeFilter);
+  if (activeDatetime) qs.set('datetime', activeDatetime);
+  vectorTiles = L.vectorGrid.protobuf(`${API_BASE}/tiles/${encodeURIComponent(activeLayer)}/{z}/{x}/{y}.pbf${qs.toString() ? '?' + qs : ''}`, {
+    rendererFactory: L.canvas.tile,
+    interactive: true,
+    fetchOptions: { get headers() { return authHeaders(); } }, // read per tile, so a new login applies
+    vectorTileLayerStyles: { [activeLayer]: props => ({ ...defaultStyle({ properties: props }), fill: true }) },
+    getFeatureId: f => f.properties[idCol]
+  });
+  vectorTiles.on('click', e => toggleSelectTileFeature(e.layer.properties, idCol));
+  vectorTiles.addTo(map);
+
+  const ext = entry?.extent;
+  if (ext && fit) map.fitBounds([[ext[1], ext[0]], [ext[3], ext[2]]], { maxZoom: 16 });
+  updateAttributeTable();
+}
+
+function toggleSelectTileFeature(props, idCol) {
+  const fid = props[idCol];
+  const key = `tile:${fid}`;
+  if (selected.has(key)) {
+    selected.delete(key);
+    vectorTiles.resetFeatureStyle(fid);
+  } else {
+    selected.set(key, { feature: { type: 'Feature', id: fid, properties: props, geometry: null }, layer: null });
+    vectorTiles.setFeatureStyle(fid, { ...selectedStyle(), fill: true });
+  }
+  updateAttributeTable();
+}
+
+function setRenderMode(mode) {
+  if (mode === 'tiles' && !L.vectorGrid) {
+    alert('Vector tiles need Leaflet.VectorGrid on this page.');
+    return;
+  }
+  clearSelection();
+  renderMode = mode;
+  if (mode === 'tiles') {
+    map.removeLayer(geojsonLayer);
+    geojsonLayer.clearLayers();
+    showVectorTiles();
+  } else {
+    if (vectorTiles) { map.removeLayer(vectorTiles); vectorTiles = null; }
+    geojsonLayer.addTo(map);
+    return loadBuildingsFromAPI();
+  }
+}
+
+/* ============================================================================
+   14) QUERY BUILDER (server-side ?filter=, CQL2-text)
+   - Sits above the attribute table (#table-wrapper)
+   - Each row is "column operator value"; rows are joined with AND / OR
+   - The generated text stays editable for anything the rows can't express
+   ============================================================================ */
+const QB_OPS = ['=', '<>', '<', '<=', '>', '>=', 'LIKE', 'IN', 'IS NULL', 'IS NOT NULL'];
+
+const qbPanel = document.createElement('div');
+qbPanel.id = 'query-builder';
+qbPanel.innerHTML = `
+  <div class="qb-title">Query builder</div>
+  <div id="qb-rows"></div>
+  <div class="control-row">
+    <button id="qb-add">+ Condition</button>
+    <select id="qb-join"><option>AND</option><option>OR</option></select>
+  </div>
+  <textarea id="qb-text" rows="2" placeholder="e.g. floors >= 3 AND use IN ('school','clinic')"></textarea>
+  <div class="control-row">
+    <button id="qb-apply">Apply filter</button>
+    <button id="qb-clear">Clear</button>
+  </div>`;
+document.getElementById('table-wrapper')?.insertAdjacentElement('beforebegin', qbPanel);
+
+function layerColumns(name) {
+  return layerCatalog.find(l => l.name === name)?.schema || [];
+}
+
+function addQueryRow() {
+  const cols = layerColumns(activeLayer);
+  const row = document.createElement('div');
+  row.className = 'control-row qb-row';
+  row.innerHTML =
+    `<select class="qb-col">${cols.map(c => `<option value="${escapeHtml(c.name)}">${escapeHtml(c.name)}</option>`).join('')}</select>` +
+    `<select class="qb-op">${QB_OPS.map(o => `<option>${o}</option>`).join('')}</select>` +
+    '<input type="text" class="qb-val" placeholder="value">' +
+    '<button class="qb-del" title="Remove">×</button>';
+  row.querySelector('.qb-del').addEventListener('click', () => { row.remove(); syncQueryText(); });
+  row.querySelectorAll('select, input').forEach(el => el.addEventListener('input', syncQueryText));
+  qbPanel.querySelector('#qb-rows').appendChild(row);
+  syncQueryText();
+}
+
+// quote a value for CQL2-text: numbers stay bare, everything else is a 'string'
+function cqlValue(v, type) {
+  const numeric = /int|numeric|double|real|float/.test(type || '');
+  if (numeric && v.trim() !== '' && !isNaN(Number(v))) return String(Number(v));
+  return `'${v.replace(/'/g, "''")}'`;
+}
+
+function buildQueryText() {
+  const types = Object.fromEntries(layerColumns(activeLayer).map(c => [c.name, c.type]));
+  const parts = Array.from(qbPanel.querySelectorAll('.qb-row')).map(row => {
+    const col = row.querySelector('.qb-col').value;
+    const op = row.querySelector('.qb-op').value;
+    const val = row.querySelector('.qb-val').value;
+    if (!col) return null;
+    const colRef = /^[A-Za-z_][A-Za-z0-9_]*$/.test(col) ? col : `"${col.replace(/"/g, '""')}"`;
+    if (op.startsWith('IS')) return `${colRef} ${op}`;
+    if (op === 'IN') return `${colRef} IN (${val.split(',').map(v => cqlValue(v.trim(), types[col])).join(', ')})`;
+    if (op === 'LIKE') return `${colRef} LIKE ${cqlValue(val.includes('%') ? val : `%${val}%`)}`;
+    return `${colRef} ${op} ${cqlValue(val, types[col])}`;
+  }).filter(Boolean);
+  return parts.join(` ${qbPanel.querySelector('#qb-join').value} `);
+}
+
+function syncQueryText() {
+  qbPanel.querySelector('#qb-text').value = buildQueryText();
+}
+
+function resetQueryBuilder() {
+  qbPanel.querySelector('#qb-rows').innerHTML = '';
+  qbPanel.querySelector('#qb-text').value = '';
+  activeFilter = '';
+}
+
+qbPanel.querySelector('#qb-add').addEventListener('click', addQueryRow);
+qbPanel.querySelector('#qb-join').addEventListener('change', syncQueryText);
+qbPanel.querySelector('#qb-apply').addEventListener('click', () => {
+  activeFilter = qbPanel.querySelector('#qb-text').value.trim();
+  loadBuildingsFromAPI();
+});
+qbPanel.querySelector('#qb-clear').addEventListener('click', () => {
+  resetQueryBuilder();
+  loadBuildingsFromAPI();
+});
+
+/* ============================================================================
+   15) EDITING (write-back through /layers/:name/features)
+   - Draw toolbar edit/remove → PATCH geometry / DELETE
+   - "Add features" mode: drawn polygons and markers are POSTed as new rows
+   - Attribute table cells are contenteditable; blur saves the changed value
+   - PATCH/DELETE send the feature's version (If-Match); a 409 means someone
+     else changed it first and opens the conflict dialog
+   ============================================================================ */
+let drawMode = 'select';       // 'select' | 'create'
+
+function isLayerEditable() {
+  const entry = layerCatalog.find(l => l.name === activeLayer);
+  return renderMode === 'geojson' && !!entry?.editable && ['editor', 'admin'].includes(entry.access);
+}
+
+// offline (fetch itself failed): the edit is queued and an optimistic
+// feature is returned instead (section 21)
+async function saveFeature(method, id, body, version) {
+  try {
+    return await sendFeatureRequest(activeLayer, method, id, body, version);
+  } catch (err) {
+    if (!isNetworkError(err)) throw err;
+    return queueEdit(activeLayer, method, id, body, version);
+  }
+}
+
+async function sendFeatureRequest(layer, method, id, body, version) {
+  const path = id !== undefined ? `/${encodeURIComponent(id)}` : '';
+  const headers = { 'Content-Type': 'application/json' };
+  if (version) headers['If-Match'] = `"${version}"`;
+  const resp = await apiFetch(`${API_BASE}/layers/${encodeURIComponent(layer)}/features${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!resp.ok) {
+    const info = await resp.json().catch(() => ({}));
+    const details = (info.details || []).map(d => `${d.field}: ${d.error}`).join('\n');
+    const err = new Error(`${info.error || 'API ' + resp.status}${details ? '\n' + details : ''}`);
+    err.status = resp.status;
+    err.current = info.current;
+    throw err;
+  }
+  return resp.status === 204 ? null : resp.json();
+}
+
+// PATCH/DELETE guarded by the feature's version. On 409 the user picks:
+// keep mine (retry against the current version) or take theirs
+// (err.discarded is set and err.current holds their feature).
+async function saveEdit(method, feature, body) {
+  try {
+    return await saveFeature(method, feature.id, body, feature.version);
+  } catch (err) {
+    if (err.status !== 409 || !err.current) throw err;
+    const keepMine = await showConflictDialog(method, body, err.current);
+    if (keepMine) return saveFeature(method, feature.id, body, err.current.version);
+    err.discarded = true;
+    throw err;
+  }
+}
+
+function showConflictDialog(method, mine, theirs) {
+  return new Promise(resolve => {
+    const changed = Object.keys(mine?.properties || {});
+    const rows = changed.map(k =>
+      `<tr><td>${escapeHtml(k)}</td><td>${escapeHtml(String(mine.properties[k] ?? ''))}</td>` +
+      `<td>${escapeHtml(String(theirs.properties?.[k] ?? ''))}</td></tr>`).join('');
+    const what = method === 'DELETE' ? 'delete it anyway'
+      : mine?.geometry ? 'save your geometry' : 'save your values';
+
+    const el = document.createElement('div');
+    el.className = 'conflict-dialog';
+    el.innerHTML = `
+      <div class="conflict-box">
+        <h3>Edit conflict</h3>
+        <p>Feature <b>${escapeHtml(String(theirs.id))}</b> was changed by someone else since you loaded it.</p>
+        ${rows ? `<table><thead><tr><th>Field</th><th>Yours</th><th>Current</th></tr></thead><tbody>${rows}</tbody></table>` : ''}
+        <div class="control-row">
+          <button data-choice="mine">Overwrite (${what})</button>
+          <button data-choice="theirs">Discard mine, use current</button>
+        </div>
+      </div>`;
+    el.addEventListener('click', e => {
+      const choice = e.target.dataset?.choice;
+      if (!choice) return;
+      el.remove();
+      resolve(choice === 'mine');
+    });
+    document.body.appendChild(el);
+  });
+}
+
+// swap the saved version into the Leaflet layer (and selection entry)
+function applySavedFeature(layer, saved) {
+  layer.feature = saved;
+  const entry = selected.get(layer._leaflet_id);
+  if (entry) entry.feature = saved;
+}
+
+async function createFeature(geometry) {
+  if (!isLayerEditable()) { alert('This layer is read-only.'); return; }
+  try {
+    const saved = await saveFeature('POST', undefined, { type: 'Feature', geometry, properties: {} });
+    geojsonLayer.addData(saved);
+    Object.keys(saved.properties || {}).forEach(k => { if (!allPropertyKeys.includes(k)) allPropertyKeys.push(k); });
+  } catch (err) {
+    console.error(err);
+    alert('Could not create feature.\n' + err.message);
+  }
+}
+
+map.on(L.Draw.Event.EDITED, async function (e) {
+  const jobs = [];
+  e.layers.eachLayer(layer => {
+    const id = layer.feature?.id;
+    if (id === undefined) return;
+    jobs.push(saveEdit('PATCH', layer.feature, { geometry: layer.toGeoJSON().geometry })
+      .then(saved => applySavedFeature(layer, saved)));
+  });
+  const failed = (await Promise.allSettled(jobs)).filter(r => r.status === 'rejected');
+  if (failed.length) {
+    const errors = failed.map(r => r.reason).filter(err => !err.discarded);
+    if (errors.length) alert(`${errors.length} edit(s) were not saved.\n` + errors[0].message);
+    loadBuildingsFromAPI(); // back to what the database has
+  }
+  updateAttributeTable();
+});
+
+map.on(L.Draw.Event.DELETED, async function (e) {
+  const jobs = [];
+  e.layers.eachLayer(layer => {
+    selected.delete(layer._leaflet_id);
+    const id = layer.feature?.id;
+    if (id !== undefined) jobs.push(saveEdit('DELETE', layer.feature));
+  });
+  const failed = (await Promise.allSettled(jobs)).filter(r => r.status === 'rejected');
+  if (failed.length) {
+    const errors = failed.map(r => r.reason).filter(err => !err.discarded);
+    if (errors.length) alert(`${errors.length} delete(s) failed.\n` + errors[0].message);
+    loadBuildingsFromAPI();
+  }
+  updateAttributeTable();
+});
+
+// attribute table: save a cell when it loses focus, Enter commits
+function parseCellValue(text, type) {
+  if (text === '') return null;
+  if (/int|numeric|double|real/.test(type || '')) return Number(text);
+  if (type === 'boolean') return /^(true|1|yes)$/i.test(text);
+  return text;
+}
+
+document.getElementById('table-body')?.addEventListener('keydown', function (e) {
+  if (e.key === 'Enter' && e.target.dataset.col) { e.preventDefault(); e.target.blur(); }
+});
+
+document.getElementById('table-body')?.addEventListener('focusout', async function (e) {
+  const cell = e.target;
+  const col = cell.dataset?.col;
+  if (!col) return;
+  const key = cell.closest('tr').dataset.key;
+  const entry = selected.get(Number(key)) || selected.get(key);
+  if (!entry) return;
+
+  const type = layerColumns(activeLayer).find(c => c.name === col)?.type;
+  const value = parseCellValue(cell.textContent.trim(), type);
+  const current = entry.feature.properties?.[col] ?? null;
+  if (value === current || String(value) === String(current)) return;
+
+  try {
+    const saved = await saveEdit('PATCH', entry.feature, { properties: { [col]: value } });
+    if (entry.layer) applySavedFeature(entry.layer, saved);
+    else entry.feature = saved;
+  } catch (err) {
+    if (err.discarded) {
+      if (entry.layer) applySavedFeature(entry.layer, err.current);
+      else entry.feature = err.current;
+    } else {
+      console.error(err);
+      alert('Could not save the change.\n' + err.message);
+    }
+  }
+  updateAttributeTable();
+});
+
+/* ============================================================================
+   16) LIVE UPDATES (Server-Sent Events from /events)
+   - The server pushes every insert/update/delete on the layer tables,
+     QGIS edits included (Postgres LISTEN/NOTIFY)
+   - Only the changed feature is patched in geojsonLayer; `selected` keeps
+     its entries (a replaced layer is re-selected under its new Leaflet id)
+   ============================================================================ */
+let liveEvents = null;
+let tileRedrawTimer = null;
+
+function findLayerById(id) {
+  let found = null;
+  geojsonLayer.eachLayer(l => { if (String(l.feature?.id) === String(id)) found = l; });
+  return found;
+}
+
+function applyLiveChange({ layer: name, op, id, feature }) {
+  if (name !== activeLayer) return;
+
+  if (renderMode === 'tiles') {
+    // tiles can't be patched one feature at a time; refetch them (debounced)
+    clearTimeout(tileRedrawTimer);
+    tileRedrawTimer = setTimeout(() => vectorTiles?.redraw(), 1000);
+    return;
+  }
+
+  const old = findLayerById(id);
+  if (old && feature && old.feature.version === feature.version) return; // our own save
+  const wasSelected = old && selected.has(old._leaflet_id);
+  if (old) {
+    selected.delete(old._leaflet_id);
+    geojsonLayer.removeLayer(old);
+  }
+
+  if (op !== 'delete' && feature) {
+    geojsonLayer.addData(feature);
+    const fresh = findLayerById(id);
+    if (fresh && wasSelected) selectLayer(fresh);
+    Object.keys(feature.properties || {}).forEach(k => { if (!allPropertyKeys.includes(k)) allPropertyKeys.push(k); });
+  }
+  updateAttributeTable();
+}
+
+function connectLiveEvents() {
+  if (!window.EventSource) return;
+  liveEvents?.close();
+  liveEvents = new EventSource(authUrl(`${API_BASE}/events`));
+  liveEvents.addEventListener('change', e => {
+    try { applyLiveChange(JSON.parse(e.data)); } catch (err) { console.error('Live update failed:', err); }
+  });
+  // someone saved a new style for the layer on screen (section 18)
+  liveEvents.addEventListener('style', e => {
+    const { layer, style } = JSON.parse(e.data);
+    if (layer === activeLayer) applyLayerStyle(style);
+  });
+  // EventSource reconnects by itself; just note it
+  liveEvents.onerror = () => console.warn('Live updates disconnected, retrying…');
+}
+
+/* ============================================================================
+   17) STATISTICS PANEL (GET /layers/:name/stats)
+   - Sits under the attribute table (#table-wrapper)
+   - Scope: the selected API features (?ids) or the current map view
+     (?bbox + the query-builder filter); optional group-by column
+   ============================================================================ */
+const statsPanel = document.createElement('div');
+statsPanel.id = 'stats-panel';
+statsPanel.innerHTML = `
+  <div class="qb-title">Statistics</div>
+  <div class="control-row">
+    <select id="stats-scope">
+      <option value="selection">Selected features</option>
+      <option value="view">Current view</option>
+    </select>
+    <select id="stats-group"><option value="">No grouping</option></select>
+    <button id="stats-refresh">Refresh</button>
+  </div>
+  <div id="stats-body"></div>`;
+document.getElementById('table-wrapper')?.insertAdjacentElement('afterend', statsPanel);
+
+function formatNumber(v, digits = 2) {
+  if (v === null || v === undefined) return '';
+  return Number(v).toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
+// metric or imperial, following the units toggle of the measure control (section 26)
+function formatArea(m2) {
+  if (measureUnits === 'imperial') {
+    const ft2 = m2 / SQ_FOOT, ac = m2 / ACRE;
+    return ac >= 640 ? `${formatNumber(ac / 640)} mi²` : ac >= 1 ? `${formatNumber(ac)} ac` : `${formatNumber(ft2)} ft²`;
+  }
+  return m2 >= 1e6 ? `${formatNumber(m2 / 1e6)} km²` : m2 >= 1e4 ? `${formatNumber(m2 / 1e4)} ha` : `${formatNumber(m2)} m²`;
+}
+
+function formatLength(m) {
+  if (measureUnits === 'imperial') {
+    return m >= MILE / 10 ? `${formatNumber(m / MILE)} mi` : `${formatNumber(m / FOOT)} ft`;
+  }
+  return m >= 1000 ? `${formatNumber(m / 1000)} km` : `${formatNumber(m)} m`;
+}
+
+function renderStatsGroupOptions() {
+  const sel = statsPanel.querySelector('#stats-group');
+  const cols = layerColumns(activeLayer).filter(c => c.name !== layerIdColumn(activeLayer));
+  sel.innerHTML = '<option value="">No grouping</option>' +
+    cols.map(c => `<option value="${escapeHtml(c.name)}">Group by ${escapeHtml(c.name)}</option>`).join('');
+}
+
+async function loadStats() {
+  const out = statsPanel.querySelector('#stats-body');
+  const qs = new URLSearchParams();
+  if (statsPanel.querySelector('#stats-scope').value === 'selection') {
+    const ids = Array.from(selected.values()).map(v => v.feature.id).filter(id => id !== undefined);
+    if (!ids.length) { out.innerHTML = '<p class="stats-empty">Select features from the API layer first.</p>'; return; }
+    qs.set('ids', ids.join(','));
+  } else {
+    qs.set('bbox', map.getBounds().toBBoxString());
+    if (activeFilter) qs.set('filter', activeFilter);
+    if (activeDatetime) qs.set('datetime', activeDatetime);
+  }
+  const group = statsPanel.querySelector('#stats-group').value;
+  if (group) qs.set('groupBy', group);
+
+  out.innerHTML = '<p class="stats-empty">Loading…</p>';
+  try {
+    const resp = await apiFetch(`${API_BASE}/layers/${encodeURIComponent(activeLayer)}/stats?${qs}`, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`API ${resp.status}: ${await resp.text()}`);
+    renderStats(await resp.json());
+  } catch (err) {
+    console.error(err);
+    out.innerHTML = `<p class="stats-empty">Statistics failed: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function renderStats(stats) {
+  let html = `<p><b>${stats.count}</b> features · area ${formatArea(stats.area_m2)} · ` +
+    `perimeter ${formatLength(stats.perimeter_m)}` +
+    (stats.length_m ? ` · length ${formatLength(stats.length_m)}` : '') + '</p>';
+
+  html += '<table class="stats-table"><tbody>';
+  Object.entries(stats.columns).forEach(([name, c]) => {
+    let detail;
+    if (c.kind === 'number') {
+      const max = Math.max(1, ...c.histogram.map(b => b.count));
+      const bars = c.histogram.map(b =>
+        `<span style="height:${Math.round(100 * b.count / max)}%" title="${formatNumber(b.from)} – ${formatNumber(b.to)}: ${b.count}"></span>`).join('');
+      detail = c.count
+        ? `min ${formatNumber(c.min)} · mean ${formatNumber(c.mean)} · max ${formatNumber(c.max)}<div class="stats-hist">${bars}</div>`
+        : '<i>no values</i>';
+    } else {
+      detail = `${c.distinct} distinct: ` +
+        c.top.map(t => `${escapeHtml(t.value ?? '(empty)')} <small>(${t.count})</small>`).join(', ');
+    }
+    html += `<tr><th>${escapeHtml(name)}</th><td>${detail}</td></tr>`;
+  });
+  html += '</tbody></table>';
+
+  if (stats.groups) {
+    html += `<table class="stats-table"><thead><tr><th>${escapeHtml(stats.groups.by)}</th><th>Count</th><th>Area</th></tr></thead><tbody>` +
+      stats.groups.rows.map(r =>
+        `<tr><td>${escapeHtml(r.key === null ? '(empty)' : String(r.key))}</td><td>${r.count}</td><td>${formatArea(r.area_m2)}</td></tr>`).join('') +
+      '</tbody></table>';
+  }
+  statsPanel.querySelector('#stats-body').innerHTML = html;
+}
+
+statsPanel.querySelector('#stats-refresh').addEventListener('click', loadStats);
+statsPanel.querySelector('#stats-scope').addEventListener('change', loadStats);
+statsPanel.querySelector('#stats-group').addEventListener('change', loadStats);
+
+// "Current view" follows the map
+let statsTimer = null;
+map.on('moveend', () => {
+  if (statsPanel.querySelector('#stats-scope').value !== 'view') return;
+  clearTimeout(statsTimer);
+  statsTimer = setTimeout(loadStats, 400);
+});
+
+/* ============================================================================
+   18) DATA-DRIVEN STYLING + LEGEND (GET/PUT /layers/:name/style)
+   - graduated (quantile / equal interval / Jenks breaks from /classify),
+     categorical palettes, proportional point symbols
+   - The style is saved on the server per layer, so everyone sees the same;
+     selected features keep selectedStyle on top
+   ============================================================================ */
+const PALETTES = {
+  Blues: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+  Reds: ['#fff5f0', '#fee0d2', '#fcbba1', '#fc9272', '#fb6a4a', '#ef3b2c', '#cb181d', '#a50f15', '#67000d'],
+  Greens: ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'],
+  YlOrRd: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'],
+  Viridis: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+  Set: ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02', '#a6761d', '#666666', '#1f78b4', '#b2df8a', '#fb9a99', '#cab2d6']
+};
+
+// n colors spread evenly over a palette
+function paletteColors(name, n) {
+  const ramp = PALETTES[name] || PALETTES.Blues;
+  if (name === 'Set') return Array.from({ length: n }, (_, i) => ramp[i % ramp.length]);
+  if (n === 1) return [ramp[ramp.length - 1]];
+  return Array.from({ length: n }, (_, i) => ramp[Math.round(i * (ramp.length - 1) / (n - 1))]);
+}
+
+// Leaflet path options for one feature under a style definition
+function styleSymbol(style, props) {
+  const v = props[style.column];
+  if (style.type === 'single') return { color: style.color, fillColor: style.color };
+  if (style.type === 'graduated') {
+    if (v === null || v === undefined || v === '') return { color: '#999', fillColor: '#ccc', fillOpacity: 0.3 };
+    let cls = style.breaks.findIndex((b, i) => i > 0 && Number(v) <= b) - 1;
+    if (cls < 0) cls = Number(v) < style.breaks[0] ? 0 : style.colors.length - 1;
+    const c = style.colors[cls];
+    return { color: '#555', weight: 1, fillColor: c, fillOpacity: 0.7 };
+  }
+  if (style.type === 'categorical') {
+    const hit = style.categories.find(c => String(c.value) === String(v));
+    const c = hit ? hit.color : (style.otherColor || '#bbbbbb');
+    return { color: '#555', weight: 1, fillColor: c, fillOpacity: 0.7 };
+  }
+  if (style.type === 'proportional') {
+    const span = style.max - style.min || 1;
+    const t = Math.min(Math.max((Number(v) - style.min) / span, 0), 1);
+    const radius = style.minRadius + Math.sqrt(t) * (style.maxRadius - style.minRadius); // area ∝ value
+    return { color: style.color, fillColor: style.color, radius: Number.isFinite(radius) ? radius : style.minRadius };
+  }
+  return {};
+}
+
+function applyLayerStyle(style) {
+  layerStyle = style;
+  geojsonLayer.eachLayer(l => {
+    if (selected.has(l._leaflet_id)) {
+      try { l.setStyle(selectedStyle(l.feature)); l.bringToFront(); } catch {}
+    } else {
+      geojsonLayer.resetStyle(l);
+    }
+  });
+  vectorTiles?.redraw();
+  renderLegend();
+  syncStyleEditor();
+}
+
+async function loadLayerStyle() {
+  try {
+    const resp = await apiFetch(`${API_BASE}/layers/${encodeURIComponent(activeLayer)}/style`, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`API ${resp.status}`);
+    applyLayerStyle((await resp.json()).style);
+  } catch (err) {
+    console.error('Style load failed:', err);
+    applyLayerStyle(null);
+  }
+}
+
+// --- legend (bottom right) ---
+const legendControl = L.control({ position: 'bottomright' });
+legendControl.onAdd = function () {
+  const div = L.DomUtil.create('div', 'map-legend');
+  L.DomEvent.disableClickPropagation(div);
+  return div;
+};
+legendControl.addTo(map);
+
+function renderLegend() {
+  const div = legendControl.getContainer();
+  const s = layerStyle;
+  if (!s || s.type === 'single') { div.style.display = 'none'; return; }
+  const swatch = c => `<i style="background:${c}"></i>`;
+  let rows = '';
+  if (s.type === 'graduated') {
+    rows = s.colors.map((c, i) =>
+      `<div>${swatch(c)}${formatNumber(s.breaks[i])} – ${formatNumber(s.breaks[i + 1])}</div>`).join('');
+  } else if (s.type === 'categorical') {
+    rows = s.categories.map(c => `<div>${swatch(c.color)}${escapeHtml(String(c.value ?? '(empty)'))}</div>`).join('') +
+      `<div>${swatch(s.otherColor || '#bbbbbb')}Other</div>`;
+  } else if (s.type === 'proportional') {
+    rows = [s.min, (s.min + s.max) / 2, s.max].map(v => {
+      const r = styleSymbol(s, { [s.column]: v }).radius;
+      return `<div><span class="legend-circle" style="width:${2 * r}px;height:${2 * r}px;background:${s.color}"></span>${formatNumber(v)}</div>`;
+    }).join('');
+  }
+  div.innerHTML = `<b>${escapeHtml(layerTitle(activeLayer))}: ${escapeHtml(s.column)}</b>${rows}` +
+    `<div class="legend-selected">${swatch(selectedStyle().fillColor)}Selected</div>`;
+  div.style.display = '';
+}
+
+// --- style editor (next to the query builder) ---
+const styleEditor = document.createElement('div');
+styleEditor.id = 'style-editor';
+styleEditor.innerHTML = `
+  <div class="qb-title">Layer style</div>
+  <div class="control-row">
+    <select id="style-type">
+      <option value="single">Single color</option>
+      <option value="graduated">Graduated</option>
+      <option value="categorical">Categorical</option>
+      <option value="proportional">Proportional symbols</option>
+    </select>
+    <select id="style-column"></select>
+  </div>
+  <div class="control-row">
+    <select id="style-method">
+      <option value="quantile">Quantile</option>
+      <option value="equal">Equal interval</option>
+      <option value="jenks">Natural breaks (Jenks)</option>
+    </select>
+    <input type="number" id="style-classes" min="2" max="12" value="5" title="Classes">
+    <select id="style-palette">${Object.keys(PALETTES).map(p => `<option>${p}</option>`).join('')}</select>
+    <input type="color" id="style-color" value="#3388ff" title="Color">
+  </div>
+  <div class="control-row">
+    <button id="style-preview">Preview</button>
+    <button id="style-save">Save for everyone</button>
+    <button id="style-reset">Reset</button>
+  </div>`;
+document.getElementById('query-builder')?.insertAdjacentElement('beforebegin', styleEditor);
+
+function syncStyleEditor() {
+  const cols = layerColumns(activeLayer).filter(c => c.name !== layerIdColumn(activeLayer));
+  const colSel = styleEditor.querySelector('#style-column');
+  colSel.innerHTML = cols.map(c => `<option value="${escapeHtml(c.name)}">${escapeHtml(c.name)}</option>`).join('');
+  if (layerStyle) {
+    styleEditor.querySelector('#style-type').value = layerStyle.type;
+    if (layerStyle.column) colSel.value = layerStyle.column;
+    if (layerStyle.method) styleEditor.querySelector('#style-method').value = layerStyle.method;
+    if (layerStyle.colors) styleEditor.querySelector('#style-classes').value = layerStyle.colors.length;
+    if (layerStyle.color) styleEditor.querySelector('#style-color').value = layerStyle.color;
+  }
+}
+
+// style definition from the editor; breaks / categories come from the server
+async function buildStyleFromEditor() {
+  const type = styleEditor.querySelector('#style-type').value;
+  const column = styleEditor.querySelector('#style-column').value;
+  const palette = styleEditor.querySelector('#style-palette').value;
+  const color = styleEditor.querySelector('#style-color').value;
+  if (type === 'single') return { type, color };
+
+  const classify = async (method, classes) => {
+    const qs = new URLSearchParams({ column, method, classes });
+    const resp = await apiFetch(`${API_BASE}/layers/${encodeURIComponent(activeLayer)}/classify?${qs}`);
+    const out = await resp.json();
+    if (!resp.ok) throw new Error(out.error || `API ${resp.status}`);
+    return out;
+  };
+
+  if (type === 'categorical') {
+    const { categories } = await classify('categories', 12);
+    const colors = paletteColors(palette, categories.length);
+    return { type, column, categories: categories.map((c, i) => ({ value: c.value, color: colors[i] })), otherColor: '#bbbbbb' };
+  }
+  if (type === 'graduated') {
+    const method = styleEditor.querySelector('#style-method').value;
+    const { breaks } = await classify(method, styleEditor.querySelector('#style-classes').value);
+    if (breaks.length < 2) throw new Error('Not enough distinct values to classify.');
+    return { type, column, method, breaks, colors: paletteColors(palette, breaks.length - 1) };
+  }
+  const { breaks } = await classify('equal', 2); // [min, mid, max]
+  if (!breaks.length) throw new Error('The column has no values.');
+  return { type, column, min: breaks[0], max: breaks[breaks.length - 1], minRadius: 3, maxRadius: 20, color };
+}
+
+styleEditor.querySelector('#style-preview').addEventListener('click', async () => {
+  try { applyLayerStyle(await buildStyleFromEditor()); } catch (err) { alert('Style failed.\n' + err.message); }
+});
+
+styleEditor.querySelector('#style-save').addEventListener('click', async () => {
+  try {
+    const style = await buildStyleFromEditor();
+    const resp = await apiFetch(`${API_BASE}/layers/${encodeURIComponent(activeLayer)}/style`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ style })
+    });
+    const out = await resp.json();
+    if (!resp.ok) throw new Error([out.error, ...(out.details || [])].join('\n'));
+    applyLayerStyle(out.style);
+  } catch (err) {
+    alert('Saving the style failed.\n' + err.message);
+  }
+});
+
+styleEditor.querySelector('#style-reset').addEventListener('click', async () => {
+  if (!confirm(`Remove the saved style of ${layerTitle(activeLayer)} for everyone?`)) return;
+  await apiFetch(`${API_BASE}/layers/${encodeURIComponent(activeLayer)}/style`, { method: 'DELETE' });
+  applyLayerStyle(null);
+});
+
+/* ============================================================================
+   19) AUTHENTICATION (POST /auth/login → JWT)
+   - Every API call goes through apiFetch(), which adds the bearer token and
+     opens the login dialog on 401, then retries once
+   - EventSource can't send headers: authUrl() adds ?access_token= instead
+   - Downloads go through apiDownload() (fetch → blob), so the token never
+     ends up in a navigated URL, the history or proxy logs
+   - The token is kept in localStorage until it expires or the user logs out
+   ============================================================================ */
+const AUTH_STORAGE_KEY = 'webgis_auth';
+let auth = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY) || 'null'); // { token, expiresAt, user }
+if (auth && new Date(auth.expiresAt) <= new Date()) auth = null;
+let loginPromise = null;
+
+function authHeaders() {
+  return auth ? { Authorization: `Bearer ${auth.token}` } : {};
+}
+
+function authUrl(url) {
+  if (!auth) return url;
+  return url + (url.includes('?') ? '&' : '?') + 'access_token=' + encodeURIComponent(auth.token);
+}
+
+async function apiFetch(url, opts = {}) {
+  const send = () => fetch(url, { ...opts, headers: { ...(opts.headers || {}), ...authHeaders() } });
+  const resp = await send();
+  if (resp.status !== 401) return resp;
+  auth = null;
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+  return (await showLoginDialog()) ? send() : resp;
+}
+
+// saves the response under the server's attachment name (or fallbackName)
+async function apiDownload(url, fallbackName) {
+  setLoading(true, 'Preparing download…');
+  try {
+    const resp = await apiFetch(url);
+    if (!resp.ok) {
+      const out = await resp.json().catch(() => ({}));
+      throw new Error(out.error || `API ${resp.status}`);
+    }
+    const disposition = resp.headers.get('Content-Disposition') || '';
+    const m = disposition.match(/filename\*=UTF-8''([^;]+)/i) || disposition.match(/filename="?([^";]+)"?/i);
+    const blobUrl = URL.createObjectURL(await resp.blob());
+    const a = document.createElement('a'); a.href = blobUrl; a.download = m ? decodeURIComponent(m[1]) : fallbackName; a.click();
+    URL.revokeObjectURL(blobUrl);
+  } catch (err) {
+    alert('Download failed: ' + err.message);
+  } finally {
+    setLoading(false);
+  }
+}
+
+// one dialog at a time; concurrent 401s wait for the same login
+function showLoginDialog() {
+  if (loginPromise) return loginPromise;
+  loginPromise = new Promise(resolve => {
+    const el = document.createElement('div');
+    el.className = 'conflict-dialog';
+    el.innerHTML = `
+      <form class="conflict-box login-box">
+        <h3>Sign in</h3>
+        <div class="control-row"><input type="text" name="username" placeholder="Username" autocomplete="username" required></div>
+        <div class="control-row"><input type="password" name="password" placeholder="Password" autocomplete="current-password" required></div>
+        <p class="login-error"></p>
+        <div class="control-row">
+          <button type="submit">Sign in</button>
+          <button type="button" data-choice="cancel">Cancel</button>
+        </div>
+      </form>`;
+    const finish = ok => { el.remove(); loginPromise = null; resolve(ok); };
+    el.querySelector('[data-choice="cancel"]').addEventListener('click', () => finish(false));
+    el.querySelector('form').addEventListener('submit', async e => {
+      e.preventDefault();
+      const form = e.target;
+      try {
+        const resp = await fetch(`${API_BASE}/auth/login`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ username: form.username.value, password: form.password.value })
+        });
+        const out = await resp.json();
+        if (!resp.ok) throw new Error(out.error || `API ${resp.status}`);
+        auth = out;
+        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+        renderAuthUser();
+        connectLiveEvents(); // the stream carries the token in its URL
+        if (renderMode === 'tiles') showVectorTiles({ fit: false }); // refetch tiles that failed with 401
+        finish(true);
+      } catch (err) {
+        form.querySelector('.login-error').textContent = err.message;
+      }
+    });
+    document.body.appendChild(el);
+    el.querySelector('input[name="username"]').focus();
+  });
+  return loginPromise;
+}
+
+function renderAuthUser() {
+  const label = document.getElementById('auth-user');
+  if (label) label.textContent = auth ? `${auth.user.name} (${auth.user.role})` : 'Not signed in';
+  const btn = document.getElementById('auth-logout');
+  if (btn) btn.style.display = auth ? '' : 'none';
+}
+
+async function logout() {
+  auth = null;
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+  liveEvents?.close();
+  clearSelection();
+  geojsonLayer.clearLayers();
+  renderAuthUser();
+  try { await loadLayerCatalog(); } catch (err) { console.error('Layer catalog error:', err); }
+  await loadBuildingsFromAPI();
+  loadSavedViews();
+  connectLiveEvents();
+}
+
+/* ============================================================================
+   20) SAVED VIEWS + PERMALINKS (/views, URL hash)
+   - The URL hash always describes the current state, e.g.
+       #layer=buildings&map=17/-6.2001/106.8167&filter=floors%3E3&sel=12,15
+     so copying the address bar shares the view; #view=<id> opens a saved one
+   - Saved views (extent, layer, render mode, filter, selection, style) live
+     on the server: private, or shared with everyone
+   ============================================================================ */
+const PERMALINK_MAX_SELECTED = 200; // longer selections only travel in saved views
+let permalinkTimer = null;
+let restoringView = false;
+
+function currentViewState() {
+  const c = map.getCenter();
+  return {
+    center: [Number(c.lat.toFixed(6)), Number(c.lng.toFixed(6))],
+    zoom: map.getZoom(),
+    layer: activeLayer,
+    renderMode,
+    filter: activeFilter,
+    datetime: activeDatetime,
+    selected: Array.from(selected.values()).map(v => v.feature.id).filter(id => id !== undefined),
+    style: layerStyle
+  };
+}
+
+function stateToHash(state) {
+  const h = new URLSearchParams();
+  h.set('layer', state.layer);
+  h.set('map', `${state.zoom}/${state.center[0]}/${state.center[1]}`);
+  if (state.renderMode === 'tiles') h.set('mode', 'tiles');
+  if (state.filter) h.set('filter', state.filter);
+  if (state.datetime) h.set('dt', state.datetime);
+  if (state.selected.length && state.selected.length <= PERMALINK_MAX_SELECTED) h.set('sel', state.selected.join(','));
+  return '#' + h.toString();
+}
+
+function hashToState(hash) {
+  const h = new URLSearchParams(hash.replace(/^#/, ''));
+  const [zoom, lat, lng] = (h.get('map') || '').split('/').map(Number);
+  return {
+    viewId: h.get('view'),
+    layer: h.get('layer'),
+    center: Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null,
+    zoom: Number.isFinite(zoom) ? zoom : null,
+    renderMode: h.get('mode') === 'tiles' ? 'tiles' : 'geojson',
+    filter: h.get('filter') || '',
+    datetime: h.get('dt') || '',
+    selected: h.get('sel') ? h.get('sel').split(',') : []
+  };
+}
+
+// keep the address bar in sync without adding history entries
+function schedulePermalink() {
+  if (restoringView || !layerCatalog.length) return;
+  clearTimeout(permalinkTimer);
+  permalinkTimer = setTimeout(() => history.replaceState(null, '', stateToHash(currentViewState())), 300);
+}
+map.on('moveend', schedulePermalink);
+
+async function applyViewState(state) {
+  restoringView = true;
+  try {
+    if (state.layer && layerCatalog.some(l => l.name === state.layer)) activeLayer = state.layer;
+    const sel = document.getElementById('layer-select');
+    if (sel) sel.value = activeLayer;
+    resetQueryBuilder();
+    renderStatsGroupOptions();
+    renderTimeSlider();
+    activeFilter = state.filter || '';
+    qbPanel.querySelector('#qb-text').value = activeFilter;
+    if (state.datetime) showTimeSliderValue(state.datetime);
+
+    if (state.style) applyLayerStyle(state.style);
+    else await loadLayerStyle();
+
+    const mode = state.renderMode === 'tiles' && L.vectorGrid ? 'tiles' : 'geojson';
+    const toggle = document.getElementById('tiles-toggle');
+    if (toggle) toggle.checked = mode === 'tiles';
+    if (mode !== renderMode) await setRenderMode(mode);
+    else await loadBuildingsFromAPI();
+
+    if (state.center && state.zoom !== null && state.zoom !== undefined) map.setView(state.center, state.zoom);
+
+    if (state.selected?.length) {
+      const fc = await fetchBuildings({ ids: state.selected, filter: '' });
+      selectFeaturesById(fc.features);
+    }
+  } finally {
+    restoringView = false;
+    schedulePermalink();
+  }
+}
+
+// Restore #view=<id> or an inline state from the hash; false when there is none
+async function restoreFromHash() {
+  const state = hashToState(location.hash);
+  try {
+    if (state.viewId) {
+      const resp = await apiFetch(`${API_BASE}/views/${encodeURIComponent(state.viewId)}`, { cache: 'no-store' });
+      if (!resp.ok) throw new Error(`API ${resp.status}: ${await resp.text()}`);
+      await applyViewState((await resp.json()).state);
+      return true;
+    }
+    if (state.layer) {
+      await applyViewState(state);
+      return true;
+    }
+  } catch (err) {
+    console.error(err);
+    alert('Could not open the shared view.\n' + err.message);
+  }
+  return false;
+}
+
+window.addEventListener('hashchange', () => { if (!restoringView) restoreFromHash(); });
+
+// --- saved views control (top right, under the layer picker) ---
+const viewsControl = L.control({ position: 'topright' });
+viewsControl.onAdd = function () {
+  const div = L.DomUtil.create('div', 'layer-picker views-control');
+  L.DomEvent.disableClickPropagation(div);
+  div.innerHTML =
+    '<select id="view-select"><option value="">Saved views…</option></select>' +
+    '<div class="control-row">' +
+    '<button id="view-save">Save view</button>' +
+    '<button id="view-delete">Delete</button>' +
+    '<button id="view-link">Copy link</button></div>';
+  div.querySelector('#view-select').addEventListener('change', e => {
+    if (e.target.value) location.hash = `view=${encodeURIComponent(e.target.value)}`;
+  });
+  div.querySelector('#view-save').addEventListener('click', saveCurrentView);
+  div.querySelector('#view-delete').addEventListener('click', deleteSelectedView);
+  div.querySelector('#view-link').addEventListener('click', copyViewLink);
+  return div;
+};
+viewsControl.addTo(map);
+
+async function loadSavedViews() {
+  const sel = document.getElementById('view-select');
+  if (!sel) return;
+  try {
+    const resp = await apiFetch(`${API_BASE}/views`, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`API ${resp.status}`);
+    const { views } = await resp.json();
+    const current = hashToState(location.hash).viewId || '';
+    sel.innerHTML = '<option value="">Saved views…</option>' + views.map(v =>
+      `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)}${v.shared ? ' (shared)' : ''} — ${escapeHtml(v.owner)}</option>`
+    ).join('');
+    sel.value = current;
+  } catch (err) {
+    console.error('Saved views failed:', err);
+  }
+}
+
+async function saveCurrentView() {
+  const name = prompt('Name for this view');
+  if (!name) return;
+  const shared = confirm('Share this view with everyone?');
+  try {
+    const resp = await apiFetch(`${API_BASE}/views`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, shared, state: currentViewState() })
+    });
+    const out = await resp.json();
+    if (!resp.ok) throw new Error([out.error, ...(out.details || [])].join('\n'));
+    await loadSavedViews();
+    document.getElementById('view-select').value = out.id;
+  } catch (err) {
+    alert('Saving the view failed.\n' + err.message);
+  }
+}
+
+async function deleteSelectedView() {
+  const sel = document.getElementById('view-select');
+  if (!sel?.value || !confirm('Delete this saved view?')) return;
+  const resp = await apiFetch(`${API_BASE}/views/${encodeURIComponent(sel.value)}`, { method: 'DELETE' });
+  if (!resp.ok) alert('Deleting the view failed.\n' + ((await resp.json().catch(() => ({}))).error || resp.status));
+  await loadSavedViews();
+}
+
+async function copyViewLink() {
+  const id = document.getElementById('view-select')?.value;
+  const link = location.origin + location.pathname + (id ? `#view=${encodeURIComponent(id)}` : stateToHash(currentViewState()));
+  try { await navigator.clipboard.writeText(link); } catch { prompt('Copy this link:', link); }
+}
+
+/* ============================================================================
+   21) OFFLINE MODE (IndexedDB cache + service worker sw.js)
+   - Every full layer load is kept in IndexedDB ('layers'); when the API
+     can't be reached the last copy is shown instead
+   - "Save area offline" stores the basemap tiles of the current view (a few
+     zoom levels deeper) in 'tiles' for sw.js to serve, plus the features there
+   - Edits made offline go to 'queue' and are replayed in order when the
+     connection returns; a stale version still opens the conflict dialog
+   - The badge (bottom left) shows online/offline, cached data and queued edits
+   ============================================================================ */
+const OFFLINE_DB = 'webgis-offline';   // same database as sw.js
+const CATALOG_KEY = '__catalog';
+const OFFLINE_ID_PREFIX = 'offline-';  // ids of features created offline until synced
+const OFFLINE_MAX_TILES = 1500;        // keep bulk downloads within the OSM tile policy
+const OFFLINE_EXTRA_ZOOMS = 2;
+let offlineDbPromise = null;
+let offlineMessage = null;     // set while showing cached data or after a failed load
+let queuedEdits = 0;
+let syncing = false;
+
+function openOfflineDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(OFFLINE_DB, 1);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore('layers');   // "layer|filter" → { features, savedAt }
+      db.createObjectStore('tiles');    // tile URL without subdomain → Blob
+      db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idbRequest(store, mode, fn) {
+  const db = await (offlineDbPromise ||= openOfflineDb());
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// fetch() itself failed (no response at all) rather than the API saying no
+function isNetworkError(err) {
+  return !err.status && (err instanceof TypeError || !navigator.onLine);
+}
+
+// a time-filtered copy is only part of the layer: it gets its own key
+function layerCacheKey(layer, filter, datetime = '') {
+  return `${layer}|${filter || ''}` + (datetime ? `|${datetime}` : '');
+}
+
+function cacheLayer(layer, filter, features, datetime = '') {
+  idbRequest('layers', 'readwrite', s => s.put({ features, savedAt: Date.now() }, layerCacheKey(layer, filter, datetime)))
+    .catch(err => console.warn('Offline cache not written:', err));
+}
+
+function readCachedLayer(layer, filter, datetime = '') {
+  return idbRequest('layers', 'readonly', s => s.get(layerCacheKey(layer, filter, datetime)));
+}
+
+// keep the cached copy in step with edits made offline
+async function patchCachedLayer(layer, fn) {
+  const key = layerCacheKey(layer, activeFilter, activeDatetime);
+  const cached = await idbRequest('layers', 'readonly', s => s.get(key));
+  if (cached) await idbRequest('layers', 'readwrite', s => s.put({ ...cached, features: fn(cached.features) }, key));
+}
+
+// a.tile… / b.tile… / c.tile… are the same tile (sw.js uses the same key)
+function tileKey(url) {
+  return url.replace(/\/\/[a-d]\.tile\./, '//tile.');
+}
+
+// --- queued edits ---
+async function queueEdit(layer, method, id, body, version) {
+  const current = id !== undefined ? findLayerById(id)?.feature : null;
+  let feature = null;
+  if (method === 'POST') {
+    id = `${OFFLINE_ID_PREFIX}${Date.now()}-${queuedEdits}`;
+    feature = { type: 'Feature', id, geometry: body.geometry, properties: body.properties || {} };
+  } else if (method === 'PATCH') {
+    feature = {
+      type: 'Feature',
+      ...current,
+      id,
+      geometry: body.geometry || current?.geometry,
+      properties: { ...(current?.properties || {}), ...(body.properties || {}) }
+    }; // version stays the one the edit was based on
+  }
+  await idbRequest('queue', 'readwrite', s => s.add({ layer, method, id, body, version, createdAt: new Date().toISOString() }));
+  await patchCachedLayer(layer, features => {
+    const rest = features.filter(f => String(f.id) !== String(id));
+    return feature ? [...rest, feature] : rest;
+  }).catch(err => console.warn('Offline cache not updated:', err));
+  await refreshQueueCount();
+  return feature;
+}
+
+async function refreshQueueCount() {
+  queuedEdits = await idbRequest('queue', 'readonly', s => s.count()).catch(() => 0);
+  renderOfflineBadge();
+}
+
+// replay the queue in order; features created offline get their real id from
+// the POST, and later edits of the same feature follow the new version
+async function syncQueue({ reload = true } = {}) {
+  if (syncing || !navigator.onLine) return;
+  const items = await idbRequest('queue', 'readonly', s => s.getAll()).catch(() => []);
+  if (!items.length) return;
+  syncing = true;
+  renderOfflineBadge();
+  const ids = new Map();       // offline id → id from the server
+  const versions = new Map();  // id → version after our last synced change
+  const dropped = [];
+  let synced = 0;
+  try {
+    for (const item of items) {
+      const id = ids.get(item.id) ?? item.id;
+      const created = item.method === 'POST';
+      let saved = null;
+      if (!created && String(id).startsWith(OFFLINE_ID_PREFIX)) {
+        dropped.push(`${item.method} of a feature whose creation failed`);
+      } else {
+        try {
+          saved = await sendFeatureRequest(item.layer, item.method, created ? undefined : id, item.body,
+            versions.get(String(id)) ?? item.version);
+        } catch (err) {
+          if (isNetworkError(err) || err.status >= 500) throw err; // try again later
+          if (err.status === 409 && err.current) {
+            if (await showConflictDialog(item.method, item.body, err.current)) {
+              saved = await sendFeatureRequest(item.layer, item.method, id, item.body, err.current.version);
+            } else {
+              dropped.push(`${item.method} ${id}: discarded after a conflict`);
+            }
+          } else {
+            dropped.push(`${item.method} ${id}: ${err.message}`);
+          }
+        }
+      }
+      if (created && saved) ids.set(item.id, saved.id);
+      if (saved) versions.set(String(saved.id), saved.version);
+      await idbRequest('queue', 'readwrite', s => s.delete(item.seq));
+      synced++;
+    }
+  } catch (err) {
+    console.warn('Sync paused:', err.message);
+  } finally {
+    syncing = false;
+  }
+  if (dropped.length) alert(`${dropped.length} offline edit(s) were not saved.\n` + dropped.join('\n'));
+  await refreshQueueCount();
+  if (synced && reload) await loadBuildingsFromAPI(); // swap the optimistic features for the real ones
+}
+
+// --- basemap + features for the current view ---
+async function saveAreaOffline() {
+  const bounds = map.getBounds();
+  const zoom = map.getZoom();
+  const urls = [];
+  for (let z = zoom; z <= Math.min(zoom + OFFLINE_EXTRA_ZOOMS, 19); z++) {
+    const max = 2 ** z - 1;
+    const nw = map.project(bounds.getNorthWest(), z).divideBy(256).floor();
+    const se = map.project(bounds.getSouthEast(), z).divideBy(256).floor();
+    for (let x = Math.max(nw.x, 0); x <= Math.min(se.x, max); x++) {
+      for (let y = Math.max(nw.y, 0); y <= Math.min(se.y, max); y++) {
+        urls.push(tileKey(L.Util.template(BASEMAP_URL, { s: 'a', z, x, y })));
+      }
+    }
+  }
+  if (urls.length > OFFLINE_MAX_TILES) {
+    alert(`This area needs ${urls.length} tiles (limit ${OFFLINE_MAX_TILES}). Zoom in and try again.`);
+    return;
+  }
+
+  let failed = 0;
+  try {
+    for (let i = 0; i < urls.length; i++) {
+      setLoading(true, `Saving basemap… ${i + 1}/${urls.length}`);
+      try {
+        const resp = await fetch(urls[i]);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const blob = await resp.blob();
+        await idbRequest('tiles', 'readwrite', s => s.put(blob, urls[i]));
+      } catch { failed++; }
+    }
+    if (renderMode === 'geojson') {
+      setLoading(true, `Saving ${layerTitle(activeLayer)}…`);
+      const b = bounds;
+      const gj = await fetchBuildings({ bbox: [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].join(',') });
+      const key = layerCacheKey(activeLayer, activeFilter, activeDatetime);
+      const cached = await idbRequest('layers', 'readonly', s => s.get(key));
+      const byId = new Map((cached?.features || []).map(f => [String(f.id), f]));
+      gj.features.forEach(f => byId.set(String(f.id), f));
+      await idbRequest('layers', 'readwrite', s => s.put({ features: [...byId.values()], savedAt: Date.now() }, key));
+    }
+    alert(`Saved ${urls.length - failed} basemap tiles${failed ? ` (${failed} failed)` : ''} for offline use.`);
+  } catch (err) {
+    console.error(err);
+    alert('Saving the area failed.\n' + err.message);
+  } finally {
+    setLoading(false);
+  }
+}
+
+// --- status badge ---
+function setOfflineStatus(message) {
+  offlineMessage = message;
+  renderOfflineBadge();
+}
+
+const offlineBadge = L.control({ position: 'bottomleft' });
+offlineBadge.onAdd = function () {
+  const div = L.DomUtil.create('div', 'offline-badge');
+  L.DomEvent.disableClickPropagation(div);
+  div.innerHTML = '<span class="offline-status"></span><button id="offline-save">Save area offline</button>';
+  div.querySelector('#offline-save').addEventListener('click', saveAreaOffline);
+  return div;
+};
+offlineBadge.addTo(map);
+renderOfflineBadge();
+
+function renderOfflineBadge() {
+  const div = offlineBadge.getContainer();
+  if (!div) return;
+  const state = !navigator.onLine ? 'offline' : offlineMessage ? 'cached' : 'online';
+  const label = { offline: 'Offline', cached: 'Offline data', online: 'Online' }[state];
+  const queue = syncing ? ' · syncing…' : queuedEdits ? ` · ${queuedEdits} edit(s) waiting to sync` : '';
+  div.className = `offline-badge leaflet-control ${state}`;
+  div.querySelector('.offline-status').textContent = label + queue;
+  div.title = offlineMessage || '';
+}
+
+window.addEventListener('offline', renderOfflineBadge);
+window.addEventListener('online', async () => {
+  renderOfflineBadge();
+  await syncQueue();
+  if (offlineMessage) loadBuildingsFromAPI(); // still on the cached copy
+});
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker not registered:', err));
+}
+
+/* ============================================================================
+   22) SEARCH BOX (GET /search, autocomplete)
+   - Searches every layer the user can see on the server (full-text +
+     trigram), best matches first
+   - Picking a result switches to its layer, zooms to its bbox and selects it
+   - ↑/↓ move through the suggestions, Enter picks, Esc closes
+   ============================================================================ */
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_DELAY = 250;      // ms after the last keystroke
+let searchResults = [];
+let searchActive = -1;         // highlighted suggestion
+let searchTimer = null;
+let searchSeq = 0;             // only the newest response is shown
+
+const searchControl = L.control({ position: 'topleft' });
+searchControl.onAdd = function () {
+  const div = L.DomUtil.create('div', 'map-search');
+  L.DomEvent.disableClickPropagation(div);
+  L.DomEvent.disableScrollPropagation(div);
+  div.innerHTML = '<input type="search" id="map-search-input" placeholder="Search all layers…" autocomplete="off">' +
+    '<ul id="map-search-results"></ul>';
+  const input = div.querySelector('input');
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => runSearch(input.value.trim()), SEARCH_DELAY);
+  });
+  input.addEventListener('keydown', e => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const n = searchResults.length;
+      if (n) renderSearchResults(searchResults, (searchActive + (e.key === 'ArrowDown' ? 1 : n - 1)) % n);
+    } else if (e.key === 'Enter') {
+      const hit = searchResults[Math.max(searchActive, 0)];
+      if (hit) goToSearchResult(hit);
+    } else if (e.key === 'Escape') {
+      renderSearchResults([]);
+    }
+  });
+  div.querySelector('ul').addEventListener('click', e => {
+    const li = e.target.closest('li[data-index]');
+    if (li) goToSearchResult(searchResults[Number(li.dataset.index)]);
+  });
+  return div;
+};
+searchControl.addTo(map);
+
+async function runSearch(text) {
+  const seq = ++searchSeq;
+  if (text.length < SEARCH_MIN_LENGTH) return renderSearchResults([]);
+  try {
+    const resp = await apiFetch(`${API_BASE}/search?q=${encodeURIComponent(text)}&limit=8`, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`API ${resp.status}`);
+    const { results } = await resp.json();
+    if (seq === searchSeq) renderSearchResults(results);
+  } catch (err) {
+    console.error('Search failed:', err);
+    if (seq === searchSeq) renderSearchResults([]);
+  }
+}
+
+function renderSearchResults(results, active = -1) {
+  searchResults = results;
+  searchActive = active;
+  const ul = document.getElementById('map-search-results');
+  if (!ul) return;
+  ul.innerHTML = results.map((r, i) =>
+    `<li data-index="${i}"${i === active ? ' class="active"' : ''}>${escapeHtml(r.label ?? String(r.id))}` +
+    ` <small>${escapeHtml(r.layerTitle || r.layer)}</small></li>`
+  ).join('');
+}
+
+async function goToSearchResult(hit) {
+  renderSearchResults([]);
+  document.getElementById('map-search-input').value = hit.label ?? '';
+  try {
+    if (hit.layer !== activeLayer) {
+      activeLayer = hit.layer;
+      const sel = document.getElementById('layer-select');
+      if (sel) sel.value = activeLayer;
+      resetQueryBuilder();
+      renderStatsGroupOptions();
+      renderTimeSlider();
+      loadLayerStyle();
+      await loadBuildingsFromAPI();
+    }
+    if (hit.bbox?.every(Number.isFinite)) {
+      const [w, s, e, n] = hit.bbox;
+      map.fitBounds([[s, w], [n, e]], { maxZoom: 18 });
+    }
+    const resp = await apiFetch(`${API_BASE}/layers/${encodeURIComponent(hit.layer)}/features/${encodeURIComponent(hit.id)}`);
+    if (!resp.ok) throw new Error(`API ${resp.status}`);
+    const feature = await resp.json();
+    clearSelection();
+    // the query builder filter may hide the hit; show it anyway
+    if (renderMode === 'geojson' && !findLayerById(feature.id)) geojsonLayer.addData(feature);
+    selectFeaturesById([feature]);
+  } catch (err) {
+    console.error(err);
+    alert('Could not open the search result.\n' + err.message);
+  }
+}
+
+/* ============================================================================
+   23) TIME SLIDER (?datetime= on the feature and tile routes)
+   - Shown for layers with "temporal" start/end columns; the year range comes
+     from the catalog's temporalExtent
+   - A year shows the features that existed at any time in it; only those are
+     drawn and selectable, selected ones stay selected while they still exist
+   - ▶ animates through the years, one step per TIME_STEP_MS
+   ============================================================================ */
+const TIME_STEP_MS = 1200;
+let timePlaying = false;
+
+const timeControl = L.control({ position: 'bottomleft' });
+timeControl.onAdd = function () {
+  const div = L.DomUtil.create('div', 'time-slider');
+  L.DomEvent.disableClickPropagation(div);
+  div.innerHTML =
+    '<label><input type="checkbox" id="time-enabled"> Time</label>' +
+    '<button id="time-play" title="Play through the years">▶</button>' +
+    '<input type="range" id="time-range" step="1">' +
+    '<span id="time-label"></span>';
+  div.querySelector('#time-enabled').addEventListener('change', e => {
+    if (!e.target.checked) stopTime();
+    setTimeYear(e.target.checked ? Number(div.querySelector('#time-range').value) : null);
+  });
+  div.querySelector('#time-range').addEventListener('input', e => {
+    div.querySelector('#time-label').textContent = e.target.value;
+  });
+  div.querySelector('#time-range').addEventListener('change', e => {
+    div.querySelector('#time-enabled').checked = true;
+    setTimeYear(Number(e.target.value));
+  });
+  div.querySelector('#time-play').addEventListener('click', () => (timePlaying ? stopTime() : playTime()));
+  return div;
+};
+timeControl.addTo(map);
+renderTimeSlider(); // hidden until a temporal layer is picked
+
+function timeExtentYears(name) {
+  const ext = layerCatalog.find(l => l.name === name)?.temporalExtent;
+  if (!ext) return null;
+  const now = new Date().getUTCFullYear();
+  const last = ext[1] ? new Date(ext[1]).getUTCFullYear() : now;
+  const first = ext[0] ? new Date(ext[0]).getUTCFullYear() : last;
+  return [Math.min(first, last), Math.max(first, last)];
+}
+
+// called on every layer switch: hide for non-temporal layers, reset the range
+function renderTimeSlider() {
+  const div = timeControl.getContainer();
+  const years = timeExtentYears(activeLayer);
+  stopTime();
+  activeDatetime = '';
+  div.style.display = years ? '' : 'none';
+  if (!years) return;
+  const range = div.querySelector('#time-range');
+  range.min = years[0];
+  range.max = years[1];
+  range.value = years[1];
+  div.querySelector('#time-enabled').checked = false;
+  div.querySelector('#time-label').textContent = 'all years';
+}
+
+// reflect a datetime restored from a saved view (no reload here)
+function showTimeSliderValue(datetime) {
+  activeDatetime = datetime;
+  const year = new Date(datetime.split('/')[0]).getUTCFullYear();
+  if (!Number.isFinite(year)) return;
+  document.getElementById('time-range').value = year;
+  document.getElementById('time-enabled').checked = true;
+  document.getElementById('time-label').textContent = String(year);
+}
+
+async function setTimeYear(year) {
+  activeDatetime = year === null ? '' : `${year}-01-01T00:00:00Z/${year}-12-31T23:59:59Z`;
+  document.getElementById('time-label').textContent = year === null ? 'all years' : String(year);
+  const keep = Array.from(selected.values()).map(v => v.feature.id).filter(id => id !== undefined);
+  await loadBuildingsFromAPI({ keepView: true });
+  if (renderMode === 'geojson' && keep.length) selectFeaturesById(keep.map(id => ({ id })));
+  schedulePermalink();
+}
+
+async function playTime() {
+  const range = document.getElementById('time-range');
+  if (Number(range.value) >= Number(range.max)) range.value = range.min;
+  document.getElementById('time-enabled').checked = true;
+  document.getElementById('time-play').textContent = '⏸';
+  timePlaying = true;
+  while (timePlaying) {
+    await setTimeYear(Number(range.value));
+    await new Promise(r => setTimeout(r, TIME_STEP_MS));
+    if (!timePlaying || Number(range.value) >= Number(range.max)) break;
+    range.value = Number(range.value) + 1;
+  }
+  stopTime();
+}
+
+function stopTime() {
+  timePlaying = false;
+  const btn = document.getElementById('time-play');
+  if (btn) btn.textContent = '▶';
+}
+
+/* ============================================================================
+   24) PRINT LAYOUT + REPORTS (browser print, GET /reports for PDF)
+   - "Print…" opens the layout dialog: paper (A4/A3), orientation, scale
+     (current zoom or a fixed 1:n) and a title
+   - Print builds a page with its own Leaflet map at that scale around the
+     current centre, the legend, a scale bar, a north arrow and the attribute
+     table of the selected features, then calls window.print()
+   - Server PDF asks /reports for the same sheet, so reports can be scripted
+   ============================================================================ */
+const PRINT_PAPERS = { A4: [210, 297], A3: [297, 420] }; // mm, portrait (same as the server)
+const PRINT_MARGIN = 10;       // mm
+const PRINT_SCALES = [500, 1000, 2500, 5000, 10000, 25000, 50000];
+let printMap = null;
+
+const printControl = L.control({ position: 'topleft' });
+printControl.onAdd = function () {
+  const div = L.DomUtil.create('div', 'leaflet-bar print-control');
+  L.DomEvent.disableClickPropagation(div);
+  div.innerHTML = '<a href="#" title="Print / report" role="button">⎙</a>';
+  div.querySelector('a').addEventListener('click', e => { e.preventDefault(); showPrintDialog(); });
+  return div;
+};
+printControl.addTo(map);
+
+function showPrintDialog() {
+  const el = document.createElement('div');
+  el.className = 'conflict-dialog';
+  el.innerHTML = `
+    <div class="conflict-box">
+      <h3>Print layout</h3>
+      <div class="control-row">Title <input type="text" id="print-title" size="32" value="${escapeHtml(layerTitle(activeLayer))}"></div>
+      <div class="control-row">
+        <select id="print-paper">${Object.keys(PRINT_PAPERS).map(p => `<option>${p}</option>`).join('')}</select>
+        <select id="print-orientation"><option value="landscape">Landscape</option><option value="portrait">Portrait</option></select>
+        Scale <select id="print-scale"><option value="">Current view</option>
+          ${PRINT_SCALES.map(n => `<option value="${n}">1:${n.toLocaleString()}</option>`).join('')}</select>
+      </div>
+      <p class="stats-empty">${selected.size} selected feature(s) go into the table.</p>
+      <div class="control-row">
+        <button data-choice="print">Print</button>
+        <button data-choice="pdf">Server PDF</button>
+        <button data-choice="cancel">Cancel</button>
+      </div>
+    </div>`;
+  el.addEventListener('click', e => {
+    const choice = e.target.dataset?.choice;
+    if (!choice) return;
+    const opts = {
+      title: el.querySelector('#print-title').value.trim() || layerTitle(activeLayer),
+      paper: el.querySelector('#print-paper').value,
+      orientation: el.querySelector('#print-orientation').value,
+      scale: Number(el.querySelector('#print-scale').value) || null
+    };
+    el.remove();
+    if (choice === 'print') printLayout(opts);
+    if (choice === 'pdf') downloadReport(opts);
+  });
+  document.body.appendChild(el);
+}
+
+// page + map frame size in mm (the map takes 60% of the printable height)
+function printFrame({ paper, orientation }) {
+  const [w, h] = orientation === 'portrait' ? PRINT_PAPERS[paper] : [...PRINT_PAPERS[paper]].reverse();
+  return { pageW: w, pageH: h, mapW: w - 2 * PRINT_MARGIN, mapH: Math.round((h - 2 * PRINT_MARGIN) * 0.6) };
+}
+
+// Leaflet zoom showing 1:scale on paper (CSS pixels are 1/96 inch)
+function zoomForScale(scale, lat) {
+  const metresPerPixel = scale * 0.0254 / 96;
+  return Math.log2(156543.03392 * Math.cos(lat * Math.PI / 180) / metresPerPixel);
+}
+
+function scaleForZoom(zoom, lat) {
+  return Math.round(156543.03392 * Math.cos(lat * Math.PI / 180) / 2 ** zoom / (0.0254 / 96));
+}
+
+function printLegendHtml() {
+  const legend = legendControl.getContainer();
+  if (legend && legend.style.display !== 'none' && legend.innerHTML) return legend.innerHTML;
+  const base = defaultStyle();
+  return `<div><i style="background:${base.color}"></i>${escapeHtml(layerTitle(activeLayer))}</div>` +
+    `<div class="legend-selected"><i style="background:${selectedStyle().fillColor}"></i>Selected</div>`;
+}
+
+async function printLayout(opts) {
+  const frame = printFrame(opts);
+  const center = map.getCenter();
+  const zoom = opts.scale ? zoomForScale(opts.scale, center.lat) : map.getZoom();
+  const scale = opts.scale || scaleForZoom(zoom, center.lat);
+
+  // selected features with geometry (vector tile selections only carry properties)
+  let picked = Array.from(selected.values()).map(v => v.feature);
+  if (picked.some(f => !f.geometry)) {
+    const ids = picked.map(f => f.id).filter(id => id !== undefined);
+    picked = ids.length ? (await fetchBuildings({ ids, filter: '' })).features : [];
+  }
+  const pickedIds = new Set(picked.map(f => String(f.id)));
+  const keys = allPropertyKeys.length ? allPropertyKeys : Object.keys(picked[0]?.properties || {});
+
+  document.getElementById('print-page')?.remove();
+  const page = document.createElement('div');
+  page.id = 'print-page';
+  page.innerHTML = `
+    <style>@page { size: ${opts.paper} ${opts.orientation}; margin: ${PRINT_MARGIN}mm; }</style>
+    <h1>${escapeHtml(opts.title)}</h1>
+    <div class="print-meta">${escapeHtml(layerTitle(activeLayer))} · 1:${scale.toLocaleString()} ·
+      ${new Date().toLocaleString()}${auth ? ' · ' + escapeHtml(auth.user.name) : ''}</div>
+    <div class="print-map" style="width:${frame.mapW}mm;height:${frame.mapH}mm">
+      <div class="print-north">▲<br>N</div>
+      <div class="print-legend map-legend">${printLegendHtml()}</div>
+    </div>
+    ${picked.length ? `<table class="print-table">
+      <thead><tr>${keys.map(k => `<th>${escapeHtml(k)}</th>`).join('')}</tr></thead>
+      <tbody>${picked.map(f => `<tr>${keys.map(k => `<td>${escapeHtml(String(f.properties?.[k] ?? ''))}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>` : ''}`;
+  document.body.appendChild(page);
+
+  printMap = L.map(page.querySelector('.print-map'), {
+    zoomControl: false, zoomSnap: 0, fadeAnimation: false, zoomAnimation: false, inertia: false
+  }).setView(center, zoom);
+  const basemap = L.tileLayer(BASEMAP_URL, { attribution: '© OpenStreetMap contributors' }).addTo(printMap);
+  const context = renderMode === 'geojson' ? geojsonLayer.toGeoJSON().features : [];
+  L.geoJSON({ type: 'FeatureCollection', features: [...context.filter(f => !pickedIds.has(String(f.id))), ...picked] }, {
+    style: f => (pickedIds.has(String(f.id)) ? selectedStyle(f) : defaultStyle(f)),
+    pointToLayer: (f, latlng) => L.circleMarker(latlng, { radius: 6, ...(pickedIds.has(String(f.id)) ? selectedStyle(f) : defaultStyle(f)) })
+  }).addTo(printMap);
+  L.control.scale({ position: 'bottomleft', imperial: false }).addTo(printMap);
+
+  // print once the basemap is in (or after a few seconds without it, e.g. offline)
+  let printed = false;
+  const go = () => { if (!printed) { printed = true; window.print(); } };
+  basemap.once('load', go);
+  setTimeout(go, 5000);
+}
+
+window.addEventListener('afterprint', () => {
+  printMap?.remove();
+  printMap = null;
+  document.getElementById('print-page')?.remove();
+});
+
+function downloadReport(opts) {
+  const ids = Array.from(selected.values()).map(v => v.feature.id).filter(id => id !== undefined);
+  if (!ids.length) { alert('Select the features for the report first.'); return; }
+  const qs = new URLSearchParams({
+    layer: activeLayer, ids: ids.join(','), title: opts.title,
+    paper: opts.paper, orientation: opts.orientation, format: 'pdf'
+  });
+  if (opts.scale) qs.set('scale', opts.scale);
+  if (activeFilter) qs.set('filter', activeFilter);
+  if (activeDatetime) qs.set('datetime', activeDatetime);
+  return apiDownload(`${API_BASE}/reports?${qs}`, 'report.pdf');
+}
+
+/* ============================================================================
+   25) QUALITY CHECKS PANEL (GET /qa/:layer)
+   - Runs the server checks on the current view (or the whole layer) and
+     lists the issues under the statistics panel
+   - Clicking an issue zooms to it, highlights the problem area (red) and the
+     suggested fix (green dashed), and selects the features involved
+   - "Copy SQL" puts the suggested ST_MakeValid / clip / merge fix on the clipboard
+   ============================================================================ */
+const QA_LABELS = {
+  invalid: 'Invalid geometry', overlap: 'Overlap', gap: 'Gap', duplicate: 'Duplicate', outside_block: 'Outside block'
+};
+let qaIssues = [];
+const qaHighlight = L.featureGroup().addTo(map);
+
+const qaPanel = document.createElement('div');
+qaPanel.id = 'qa-panel';
+qaPanel.innerHTML = `
+  <div class="qb-title">Quality checks</div>
+  <div class="control-row">
+    <select id="qa-scope">
+      <option value="view">Current view</option>
+      <option value="layer">Whole layer</option>
+    </select>
+    <button id="qa-run">Run checks</button>
+    <button id="qa-clear">Clear</button>
+  </div>
+  <div id="qa-body"></div>`;
+statsPanel.insertAdjacentElement('afterend', qaPanel);
+
+qaPanel.querySelector('#qa-run').addEventListener('click', runQualityChecks);
+qaPanel.querySelector('#qa-clear').addEventListener('click', () => {
+  qaIssues = [];
+  qaHighlight.clearLayers();
+  qaPanel.querySelector('#qa-body').innerHTML = '';
+});
+qaPanel.querySelector('#qa-body').addEventListener('click', e => {
+  const li = e.target.closest('li[data-index]');
+  if (!li) return;
+  const issue = qaIssues[Number(li.dataset.index)];
+  if (e.target.dataset.action === 'sql') copyQaFix(issue);
+  else showQaIssue(issue);
+  qaPanel.querySelectorAll('#qa-body li').forEach(el => el.classList.toggle('active', el === li));
+});
+
+async function runQualityChecks() {
+  const out = qaPanel.querySelector('#qa-body');
+  const qs = new URLSearchParams();
+  if (qaPanel.querySelector('#qa-scope').value === 'view') qs.set('bbox', map.getBounds().toBBoxString());
+  if (activeFilter) qs.set('filter', activeFilter);
+  if (activeDatetime) qs.set('datetime', activeDatetime);
+  out.innerHTML = '<p class="stats-empty">Checking…</p>';
+  qaHighlight.clearLayers();
+  try {
+    const resp = await apiFetch(`${API_BASE}/qa/${encodeURIComponent(activeLayer)}?${qs}`, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`API ${resp.status}: ${await resp.text()}`);
+    renderQaReport(await resp.json());
+  } catch (err) {
+    console.error(err);
+    out.innerHTML = `<p class="stats-empty">Checks failed: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function renderQaReport(report) {
+  qaIssues = report.issues;
+  const counts = report.checks.map(c => `${escapeHtml(c)}: <b>${report.counts[c]}</b>`).join(' · ');
+  const skipped = Object.entries(report.skipped || {}).map(([c, why]) => `${escapeHtml(c)} skipped (${escapeHtml(why)})`).join('<br>');
+  const items = qaIssues.map((issue, i) => `
+    <li data-index="${i}" class="qa-${escapeHtml(issue.type)}">
+      <b>${escapeHtml(QA_LABELS[issue.type] || issue.type)}</b> ${escapeHtml(issue.message || '')}
+      ${issue.fix ? `<br><small>Fix: ${escapeHtml(issue.fix.description)}</small>
+        ${issue.fix.sql ? '<button data-action="sql">Copy SQL</button>' : ''}` : ''}
+    </li>`).join('');
+  qaPanel.querySelector('#qa-body').innerHTML =
+    `<p>${counts}</p>${skipped ? `<p class="stats-empty">${skipped}</p>` : ''}` +
+    (items ? `<ul class="qa-list">${items}</ul>` : '<p class="stats-empty">No issues found.</p>');
+}
+
+function showQaIssue(issue) {
+  qaHighlight.clearLayers();
+  if (issue.geometry) L.geoJSON(issue.geometry, { style: { color: '#d00', weight: 3, fillOpacity: 0.4 } }).addTo(qaHighlight);
+  if (issue.fix?.geometry) {
+    L.geoJSON(issue.fix.geometry, { style: { color: '#090', weight: 2, dashArray: '6 4', fillOpacity: 0.1 } }).addTo(qaHighlight);
+  }
+  const [lon, lat] = issue.location || [];
+  if (Number.isFinite(lon) && Number.isFinite(lat)) L.circleMarker([lat, lon], { radius: 6, color: '#d00', fillOpacity: 1 }).addTo(qaHighlight);
+
+  const bounds = qaHighlight.getBounds();
+  if (bounds.isValid()) map.fitBounds(bounds.pad(0.5), { maxZoom: 20 });
+
+  if (renderMode === 'geojson') {
+    clearSelection();
+    const ids = new Set(issue.ids.map(String));
+    geojsonLayer.eachLayer(gLayer => { if (ids.has(String(gLayer.feature?.id))) selectLayer(gLayer); });
+    updateAttributeTable();
+  }
+  qaHighlight.bringToFront();
+}
+
+async function copyQaFix(issue) {
+  try { await navigator.clipboard.writeText(issue.fix.sql); } catch { prompt('Copy this SQL:', issue.fix.sql); }
+}
+
+/* ============================================================================
+   26) MEASUREMENT (geodesic, metric / imperial)
+   - Ruler: distance along a line; polygon: area + perimeter. Results stay on
+     the map as labels until cleared; the units toggle re-labels them
+   - Distances are Vincenty on the WGS84 ellipsoid, areas from a local
+     ellipsoidal plane (large shapes: spherical excess), centroids
+     area-weighted in a local plane
+   - measureGeometry() also feeds the computed Area / Perimeter / Centroid
+     columns of the attribute table and the CSV export (sections 8, 9)
+   ============================================================================ */
+const WGS84 = { a: 6378137, f: 1 / 298.257223563 };
+const AUTHALIC_RADIUS = 6371007.181;
+const FOOT = 0.3048, SQ_FOOT = FOOT * FOOT, MILE = 1609.344, ACRE = 4046.8564224; // in metres / m²
+let measureMode = null;        // 'distance' | 'area' while a measure shape is drawn
+let measureHandler = null;
+const measureLayer = L.featureGroup().addTo(map);
+
+// Vincenty inverse formula, metres between two [lon, lat]; falls back to
+// Leaflet's great-circle distance when it doesn't converge (near-antipodal)
+function geodesicDistance([lon1, lat1], [lon2, lat2]) {
+  const { a, f } = WGS84;
+  const b = a * (1 - f);
+  const rad = Math.PI / 180;
+  const dLon = (lon2 - lon1) * rad;
+  const U1 = Math.atan((1 - f) * Math.tan(lat1 * rad));
+  const U2 = Math.atan((1 - f) * Math.tan(lat2 * rad));
+  const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1), sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+  let lambda = dLon, prev, iter = 0, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+  do {
+    const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+    sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+    if (sinSigma === 0) return 0;
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    cos2SigmaM = cosSqAlpha ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+    const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    prev = lambda;
+    lambda = dLon + (1 - C) * f * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+  } while (Math.abs(lambda - prev) > 1e-12 && ++iter < 200);
+  if (iter >= 200) return L.latLng(lat1, lon1).distanceTo([lat2, lon2]);
+  const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+  const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const dSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+    B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+  return b * A * (sigma - dSigma);
+}
+
+function lineLength(coords) {
+  let m = 0;
+  for (let i = 1; i < coords.length; i++) m += geodesicDistance(coords[i - 1], coords[i]);
+  return m;
+}
+
+// unsigned m² of a closed ring of [lon, lat]: shoelace in a local plane scaled
+// by the ellipsoid's radii of curvature (exact enough for parcels and blocks),
+// spherical excess on the authalic sphere once the ring spans over a degree
+function ringArea(ring) {
+  const rad = Math.PI / 180;
+  const lats = ring.map(c => c[1]), lons = ring.map(c => c[0]);
+  if (Math.max(...lats) - Math.min(...lats) < 1 && Math.max(...lons) - Math.min(...lons) < 1) {
+    const { a, f } = WGS84;
+    const e2 = f * (2 - f);
+    const lat0 = (Math.max(...lats) + Math.min(...lats)) / 2;
+    const w = Math.sqrt(1 - e2 * Math.sin(lat0 * rad) ** 2);
+    const kx = a / w * Math.cos(lat0 * rad) * rad;   // metres per degree of longitude
+    const ky = a * (1 - e2) / w ** 3 * rad;          // metres per degree of latitude
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      sum += (ring[i][0] - lons[0]) * kx * (ring[i + 1][1] - lats[0]) * ky -
+        (ring[i + 1][0] - lons[0]) * kx * (ring[i][1] - lats[0]) * ky;
+    }
+    return Math.abs(sum / 2);
+  }
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i], [lon2, lat2] = ring[i + 1];
+    sum += (lon2 - lon1) * rad * (2 + Math.sin(lat1 * rad) + Math.sin(lat2 * rad));
+  }
+  return Math.abs(sum * AUTHALIC_RADIUS * AUTHALIC_RADIUS / 2);
+}
+
+// signed planar area + centroid of a ring in a local equirectangular plane at [lon0, lat0]
+function ringCentroid(ring, [lon0, lat0]) {
+  const k = Math.cos(lat0 * Math.PI / 180);
+  let a = 0, cx = 0, cy = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const x1 = (ring[i][0] - lon0) * k, y1 = ring[i][1] - lat0;
+    const x2 = (ring[i + 1][0] - lon0) * k, y2 = ring[i + 1][1] - lat0;
+    const cross = x1 * y2 - x2 * y1;
+    a += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+  if (!a) return null;
+  return { a: a / 2, x: cx / (3 * a) / k + lon0, y: cy / (3 * a) + lat0 };
+}
+
+// { area (m²), perimeter (m, polygons), length (m, lines), centroid [lon, lat] } of a GeoJSON geometry
+function measureGeometry(geometry) {
+  const out = { area: 0, perimeter: 0, length: 0, centroid: null };
+  const type = geometry?.type;
+  if (!type) return out;
+  if (type === 'GeometryCollection') {
+    const parts = geometry.geometries.map(measureGeometry);
+    parts.forEach(p => { out.area += p.area; out.perimeter += p.perimeter; out.length += p.length; });
+    out.centroid = parts.find(p => p.centroid)?.centroid || null;
+    return out;
+  }
+  const polygons = type === 'Polygon' ? [geometry.coordinates] : type === 'MultiPolygon' ? geometry.coordinates : [];
+  const lines = type === 'LineString' ? [geometry.coordinates] : type === 'MultiLineString' ? geometry.coordinates : [];
+  const points = type === 'Point' ? [geometry.coordinates] : type === 'MultiPoint' ? geometry.coordinates : [];
+
+  if (polygons.length) {
+    const origin = polygons[0][0][0];
+    let w = 0, x = 0, y = 0;
+    polygons.forEach(rings => rings.forEach((ring, i) => {
+      const sign = i === 0 ? 1 : -1; // holes subtract
+      out.area += sign * ringArea(ring);
+      out.perimeter += lineLength(ring);
+      const c = ringCentroid(ring, origin);
+      if (c) { const wt = sign * Math.abs(c.a); w += wt; x += wt * c.x; y += wt * c.y; }
+    }));
+    if (w) out.centroid = [x / w, y / w];
+  } else if (lines.length) {
+    let w = 0, x = 0, y = 0;
+    lines.forEach(coords => {
+      for (let i = 1; i < coords.length; i++) {
+        const d = geodesicDistance(coords[i - 1], coords[i]);
+        out.length += d;
+        w += d;
+        x += d * (coords[i - 1][0] + coords[i][0]) / 2;
+        y += d * (coords[i - 1][1] + coords[i][1]) / 2;
+      }
+    });
+    out.centroid = w ? [x / w, y / w] : lines[0][0] || null;
+  } else if (points.length) {
+    out.centroid = [points.reduce((s, p) => s + p[0], 0) / points.length, points.reduce((s, p) => s + p[1], 0) / points.length];
+  }
+  return out;
+}
+
+// --- measure control (top left) ---
+const measureControl = L.control({ position: 'topleft' });
+measureControl.onAdd = function () {
+  const div = L.DomUtil.create('div', 'leaflet-bar measure-control');
+  L.DomEvent.disableClickPropagation(div);
+  div.innerHTML =
+    '<a href="#" data-measure="distance" title="Measure distance">📏</a>' +
+    '<a href="#" data-measure="area" title="Measure area and perimeter">⬠</a>' +
+    '<a href="#" data-measure="units" title="Metric / imperial" id="measure-units"></a>' +
+    '<a href="#" data-measure="clear" title="Clear measurements">✕</a>';
+  div.addEventListener('click', e => {
+    const action = e.target.closest('a')?.dataset.measure;
+    if (!action) return;
+    e.preventDefault();
+    if (action === 'clear') { measureHandler?.disable(); measureLayer.clearLayers(); }
+    else if (action === 'units') setMeasureUnits(measureUnits === 'metric' ? 'imperial' : 'metric');
+    else startMeasure(action);
+  });
+  return div;
+};
+measureControl.addTo(map);
+document.getElementById('measure-units').textContent = measureUnits === 'metric' ? 'm' : 'ft';
+
+function startMeasure(mode) {
+  measureHandler?.disable();
+  measureMode = mode;
+  const opts = {
+    shapeOptions: { color: '#2a2', weight: 3 },
+    metric: measureUnits === 'metric', feet: true, showLength: true, showArea: true
+  };
+  measureHandler = mode === 'distance' ? new L.Draw.Polyline(map, opts) : new L.Draw.Polygon(map, opts);
+  measureHandler.enable();
+}
+// fires after CREATED, and when the user cancels
+map.on(L.Draw.Event.DRAWSTOP, () => { measureMode = null; });
+
+function addMeasurement(layer) {
+  layer.measure = measureGeometry(layer.toGeoJSON().geometry);
+  measureLayer.addLayer(layer);
+  layer.bindTooltip('', { permanent: true, direction: 'center', className: 'measure-label' });
+  labelMeasurement(layer);
+}
+
+function labelMeasurement(layer) {
+  const m = layer.measure;
+  layer.setTooltipContent(m.area
+    ? `Area ${formatArea(m.area)}<br>Perimeter ${formatLength(m.perimeter)}`
+    : `Distance ${formatLength(m.length)}`);
+}
+
+function setMeasureUnits(units) {
+  measureUnits = units;
+  localStorage.setItem('webgis_units', units);
+  document.getElementById('measure-units').textContent = units === 'metric' ? 'm' : 'ft';
+  measureLayer.eachLayer(labelMeasurement);
+  updateAttributeTable();
+}
 
 /* ============================================================================
-   12) INITIAL LOAD
+   27) INITIAL LOAD
    - Try API first. If API_BASE is left as placeholder or fetch fails,
      fall back to local sample.geojson if present.
    ============================================================================ */
@@ -339,7 +2760,15 @@ document.getElementById('reload-api')?.addEventListener('click', () => loadBuild
     } catch {}
     console.warn('⚠️ Set API_BASE to your public API to load DB data.');
   } else {
-    await loadBuildingsFromAPI(); // live data
+    renderAuthUser();
+    registerServiceWorker();
+    try { await loadLayerCatalog(); } catch (err) { console.error('Layer catalog error:', err); }
+    await refreshQueueCount();
+    await syncQueue({ reload: false }); // edits left over from an offline session
+    // a permalink / saved view in the URL decides what to show first
+    if (!(await restoreFromHash())) await loadBuildingsFromAPI(); // live data
+    loadSavedViews();
+    connectLiveEvents();
   }
 })();
 
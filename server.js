@@ -4,22 +4,187 @@
 // Purpose: Serve live GeoJSON from PostGIS for your Leaflet/WebGIS frontend.
 // Key endpoints:
 //   GET /                       → quick info page
-//   GET /health                 → DB health check
-//   GET /whoami                 → DB user + client/server IPs (debugging)
-//   GET /blocks                 → GeoJSON from public.blocks (filters + no-cache)
-//   GET /buildings              → GeoJSON from public.buildings (filters + no-cache)
+//   GET /health                 → liveness + readiness (/health/live, /health/ready separately)
+//   GET /metrics                → Prometheus metrics: requests, query latency, rows, pool usage (admin)
+//   POST /auth/login, GET /auth/me → JWT login (API keys via X-API-Key); all
+//                                 other routes need a viewer / editor / admin role
+//   GET /whoami                 → caller + DB user/database (debugging, admin)
+//   GET/POST /views, GET/PUT/DELETE /views/:id → saved map views (permalinks)
+//   GET /search?q=              → ranked full-text / trigram search across all layers
+//   GET /reports                → printable report (map + table) as PDF/HTML from a view or ids
+//   GET /qa/:name               → geometry / topology issues (invalid, overlaps, gaps, duplicates, outside blocks)
+//   GET /layers                 → catalog of registered layers (SRID/extent/count/schema)
+//   GET /layers/:name           → GeoJSON for one layer (filters, keyset paging, NDJSON stream)
+//   GET /blocks, /buildings     → legacy aliases for /layers/blocks, /layers/buildings
 //   GET /debug/buildings-stats  → quick stats for buildings (count/SRID/extent)
+//   GET /layers/:name/stats     → column summaries, area/perimeter, group-by aggregates
+//   GET /layers/:name/classify  → class breaks (quantile / equal / Jenks) or categories
+//   GET/PUT/DELETE /layers/:name/style → shared data-driven style per layer
+//   GET /tiles/:name/:z/:x/:y.pbf → Mapbox Vector Tile for one layer (ETag/304)
+//   DELETE /tiles/:name         → invalidate cached tiles for one layer
+//   POST /layers/:name/intersects|within|nearest → spatial queries on a GeoJSON geometry
+//   GET/PATCH/DELETE /layers/:name/features/:id, POST /layers/:name/features → editing
+//   GET /layers/:name/features/:id/history (+ POST .../history/:historyId/revert)
+//   GET /events                 → Server-Sent Events for inserts/updates/deletes
+//   GET /ogc/...                → OGC API – Features (landing, conformance, collections, items)
+//   GET /layers/:name/export    → download as GeoJSON / CSV (WKT) / GeoPackage / Shapefile / KML
+//   POST /imports               → load browser-parsed features into a layer or new table
+//   POST /process               → union / buffer / dissolve / clip / difference (optionally saved)
+//   DELETE /process/:name       → drop a layer saved by /process
+// Every route validates its query parameters (400 with a list of problems),
+// and its route class sets the rate limit per client IP and the pool and
+// statement timeout its SQL runs with (see "Postgres connection pools").
+// Errors come back as { error, requestId }; logs are JSON lines.
 // ──────────────────────────────────────────────────────────────────────────────
 
 import express from "express";
 import cors from "cors";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+import { execFile } from "child_process";
+import { promisify } from "util";
 import pkg from "pg";
+import Cursor from "pg-cursor";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-const { Pool } = pkg;
+const { Pool, Client } = pkg;
+const execFileAsync = promisify(execFile);
 const app = express();
+// Number of proxies in front of the app. Off by default: without a proxy,
+// X-Forwarded-For comes from the client, and req.ip (what rate limiting is
+// keyed on) would be whatever it sends. Behind Railway/Render set
+// TRUST_PROXY_HOPS=1, so generated links keep https and req.ip is the real client.
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS || 0);
+app.set("trust proxy", TRUST_PROXY_HOPS > 0 ? TRUST_PROXY_HOPS : false);
+
+/* ───────────── Logging ───────────── */
+// One JSON object per line, errors on stderr, for the log collector:
+//   {"time":"…","level":"info","msg":"request","requestId":"…","status":200,…}
+// LOG_LEVEL=debug|info|warn|error (default info).
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields });
+  (level === "error" ? process.stderr : process.stdout).write(line + "\n");
+}
+
+const log = {
+  debug: (msg, fields) => writeLog("debug", msg, fields),
+  info: (msg, fields) => writeLog("info", msg, fields),
+  warn: (msg, fields) => writeLog("warn", msg, fields),
+  error: (msg, fields) => writeLog("error", msg, fields),
+};
+
+/* ───────────── Metrics (Prometheus) ───────────── */
+// Counters and histograms live in this process and are rendered in the
+// Prometheus text format by GET /metrics; gauges are read when scraped.
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 120]; // seconds
+const metricFamilies = []; // { name, type, help, series: Map(label text -> value) | read() }
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) =>
+    `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function counter(name, help) {
+  const family = { name, type: "counter", help, series: new Map() };
+  metricFamilies.push(family);
+  return {
+    inc(labels = {}, n = 1) {
+      const key = labelText(labels);
+      family.series.set(key, (family.series.get(key) || 0) + n);
+    },
+  };
+}
+
+function histogram(name, help, buckets = LATENCY_BUCKETS) {
+  const family = { name, type: "histogram", help, buckets, series: new Map() };
+  metricFamilies.push(family);
+  return {
+    observe(labels, value) {
+      const key = labelText(labels);
+      let s = family.series.get(key);
+      if (!s) family.series.set(key, (s = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+  };
+}
+
+// read() → [[labels, value], ...] at scrape time
+function gauge(name, help, read) {
+  metricFamilies.push({ name, type: "gauge", help, read });
+}
+
+function renderMetrics() {
+  const out = [];
+  for (const f of metricFamilies) {
+    out.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`);
+    if (f.type === "gauge") {
+      for (const [labels, value] of f.read()) out.push(`${f.name}${labelText(labels)} ${value}`);
+      continue;
+    }
+    for (const [key, s] of f.series) {
+      if (f.type === "counter") {
+        out.push(`${f.name}${key} ${s}`);
+        continue;
+      }
+      f.buckets.forEach((b, i) => out.push(`${f.name}_bucket${labelText({ ...s.labels, le: b })} ${s.counts[i]}`));
+      out.push(
+        `${f.name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`,
+        `${f.name}_sum${key} ${s.sum}`,
+        `${f.name}_count${key} ${s.count}`
+      );
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+const httpRequests = counter("webgis_http_requests_total", "HTTP requests by route class, route, method and status");
+const httpDuration = histogram("webgis_http_request_duration_seconds", "HTTP request duration by route class and route");
+const queryDuration = histogram("webgis_db_query_duration_seconds", "Database query latency by pool");
+const queryRows = counter("webgis_db_query_rows_total", "Rows returned or changed by database queries, by pool");
+const queryErrors = counter("webgis_db_query_errors_total", "Failed database queries by pool and SQLSTATE");
+const rateLimited = counter("webgis_rate_limited_total", "Requests refused with 429, by route class");
+
+/* ───────────── Request ids & access log ───────────── */
+// Every request gets an id: the proxy's X-Request-Id when it looks sane, else
+// a new UUID. It goes back in the X-Request-Id header and in every error body
+// (requestId), and is on every log line about the request, so an error a user
+// reports can be found in the logs. One "request" log line per response.
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const json = res.json.bind(res);
+  res.json = body => json(res.statusCode >= 400 && body?.error !== undefined ? { ...body, requestId: req.id } : body);
+
+  const start = process.hrtime.bigint();
+  const urlPath = req.path; // never the query string: it may carry ?access_token
+  res.on("close", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched"; // patterns keep the label set small
+    const labels = { class: req.routeClass || "default", route };
+    httpRequests.inc({ ...labels, method: req.method, status: res.statusCode });
+    httpDuration.observe(labels, seconds);
+    log.info("request", {
+      requestId: req.id, method: req.method, path: urlPath, route, status: res.statusCode,
+      durationMs: Math.round(seconds * 1000), user: req.user?.name, ip: req.ip,
+      ...(res.writableFinished ? {} : { aborted: true }),
+    });
+  });
+  next();
+});
 
 /* ───────────── CORS ───────────── */
 const allowedOrigins = (process.env.ALLOWED_ORIGINS || "")
@@ -27,17 +192,19 @@ const allowedOrigins = (process.env.ALLOWED_ORIGINS || "")
   .map(s => s.trim())
   .filter(Boolean);
 
+// CORS only governs browsers. Requests without an Origin (curl, QGIS, GDAL)
+// get no CORS headers; access is decided by authentication, not by CORS.
 app.use(
   cors({
     origin: (origin, cb) => {
-      if (!origin) return cb(null, true);                 // allow curl/Postman
-      if (allowedOrigins.includes(origin)) return cb(null, true);
-      return cb(new Error("CORS not allowed for origin: " + origin));
+      if (origin && allowedOrigins.includes(origin)) return cb(null, true);
+      return cb(null, false);
     },
+    exposedHeaders: ["ETag", "X-Request-Id", "Retry-After", "Content-Disposition"],
   })
 );
 
-/* ──────── Postgres connection pool ──────── */
+/* ──────── Postgres connection pools ──────── */
 const dbCfg = {
   host: process.env.PGHOST || "127.0.0.1",
   port: Number(process.env.PGPORT || 5432),
@@ -47,187 +214,3726 @@ const dbCfg = {
   // ssl: { rejectUnauthorized: false }, // ← enable if your provider requires SSL
 };
 
-console.log("DB config:", {
+log.info("DB config", {
   host: dbCfg.host,
   port: dbCfg.port,
   database: dbCfg.database,
   user: dbCfg.user,
 });
 
-const pool = new Pool(dbCfg);
+// Route classes. Each has its own pool, so slow exports can't hold the
+// connections tiles and searches need: pool = max connections, timeout =
+// statement_timeout in ms (0 = none), rate = requests per minute per client
+// IP (0 = unlimited, see Rate limiting). Override per class with
+// DB_POOL_MAX_<CLASS>, DB_TIMEOUT_<CLASS> and RATE_LIMIT_<CLASS>.
+const ROUTE_CLASSES = {
+  default: { pool: 10, timeout: 15000, rate: 300 },
+  tiles: { pool: 6, timeout: 5000, rate: 1200 },
+  search: { pool: 3, timeout: 3000, rate: 120 },
+  heavy: { pool: 3, timeout: 120000, rate: 20 }, // export, import, process, reports, QA
+  auth: { pool: 1, timeout: 5000, rate: 10 },    // login: slows down password guessing
+  ops: { pool: 2, timeout: 2000, rate: 0 },      // health checks, metrics
+  setup: { pool: 1, timeout: 0, rate: 0 },       // schema setup at startup (index builds)
+};
+for (const [name, cls] of Object.entries(ROUTE_CLASSES)) {
+  const env = prefix => process.env[`${prefix}_${name.toUpperCase()}`];
+  cls.pool = Number(env("DB_POOL_MAX") ?? cls.pool);
+  cls.timeout = Number(env("DB_TIMEOUT") ?? cls.timeout);
+  cls.rate = Number(env("RATE_LIMIT") ?? cls.rate);
+}
+
+// First match wins; everything else is "default"
+const ROUTE_CLASS_PATHS = [
+  [/^\/tiles\//, "tiles"],
+  [/^\/search$/, "search"],
+  [/^\/(imports|process|reports|qa)(\/|$)|^\/layers\/[^/]+\/export$/, "heavy"],
+  [/^\/auth\/login$/, "auth"],
+  [/^\/(health|metrics)(\/|$)/, "ops"],
+];
+
+function routeClass(urlPath) {
+  return ROUTE_CLASS_PATHS.find(([re]) => re.test(urlPath))?.[1] || "default";
+}
+
+// How long a request waits for a free connection before it gets a 503
+const DB_CONNECT_TIMEOUT = Number(process.env.DB_CONNECT_TIMEOUT || 10000);
+
+const pools = {};
+for (const [name, cls] of Object.entries(ROUTE_CLASSES)) {
+  pools[name] = new Pool({
+    ...dbCfg,
+    max: cls.pool,
+    statement_timeout: cls.timeout || undefined,
+    connectionTimeoutMillis: DB_CONNECT_TIMEOUT,
+  });
+  pools[name].on("error", err => log.error("Idle database connection failed", { pool: name, error: err.message }));
+}
+
+gauge("webgis_db_pool_connections", "Connections per pool: total, idle, and requests waiting for one",
+  () => Object.entries(pools).flatMap(([name, p]) => [
+    [{ pool: name, state: "total" }, p.totalCount],
+    [{ pool: name, state: "idle" }, p.idleCount],
+    [{ pool: name, state: "waiting" }, p.waitingCount],
+  ]));
+gauge("webgis_db_pool_max", "Maximum connections per pool",
+  () => Object.entries(ROUTE_CLASSES).map(([name, cls]) => [{ pool: name }, cls.pool]));
+
+// Route class of the request being handled; outside requests "default"
+const dbContext = new AsyncLocalStorage();
+
+function currentPool() {
+  return dbContext.getStore() || "default";
+}
+
+// pg's "timeout exceeded when trying to connect": the whole pool stayed busy
+function busyError(err) {
+  return /timeout exceeded when trying to connect/i.test(err.message) ? httpError(503, "Server busy, try again shortly") : err;
+}
+
+async function timedQuery(name, run) {
+  const start = process.hrtime.bigint();
+  try {
+    const result = await run();
+    queryRows.inc({ pool: name }, [].concat(result).reduce((n, r) => n + (r.rowCount || 0), 0));
+    return result;
+  } catch (err) {
+    queryErrors.inc({ pool: name, code: err.code || "none" });
+    throw busyError(err);
+  } finally {
+    queryDuration.observe({ pool: name }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+// Stands in for a pg Pool everywhere below: queries run on the current route
+// class's pool and are timed for /metrics, including those on checked-out
+// clients (transactions). Cursor reads are not timed.
+const pool = {
+  query(text, params) {
+    const name = currentPool();
+    return timedQuery(name, () => pools[name].query(text, params));
+  },
+  async connect() {
+    const name = currentPool();
+    const client = await pools[name].connect().catch(err => { throw busyError(err); });
+    if (!client.webgisTimed) {
+      const query = client.query.bind(client);
+      client.query = (...args) => (typeof args[0]?.submit === "function" || typeof args.at(-1) === "function"
+        ? query(...args) // cursors, and pg's own callback-style calls
+        : timedQuery(name, () => query(...args)));
+      client.webgisTimed = true;
+    }
+    return client;
+  },
+};
+
+// Route class + its pool for the rest of the request. Registered again after
+// body parsing: the body stream's callbacks would lose the async context.
+function routeContext(req, res, next) {
+  req.routeClass = routeClass(req.baseUrl + req.path);
+  dbContext.run(req.routeClass, next);
+}
+
+app.use(routeContext);
 
 // Test DB connection at startup
 pool
   .connect()
   .then((client) => {
-    console.log("✅ Connected to PostgreSQL successfully");
+    log.info("Connected to PostgreSQL");
     client.release();
   })
   .catch((err) => {
-    console.error("❌ Failed to connect to PostgreSQL at startup:", err.message);
+    log.error("Failed to connect to PostgreSQL at startup", { error: err.message });
   });
 
-/* ───────────── Routes ───────────── */
+/* ───────────── Schema setup ───────────── */
+// Idempotent DDL run at startup: the edit history, layer style and saved view
+// tables the API owns, and NOTIFY + history triggers on every layer table so
+// changes from any client (API, QGIS, psql) reach /events and the history.
+const HISTORY_TABLE = process.env.HISTORY_TABLE || "public.feature_history";
+const STYLES_TABLE = process.env.STYLES_TABLE || "public.layer_styles";
+const VIEWS_TABLE = process.env.VIEWS_TABLE || "public.saved_views";
 
-// 1) Home
-app.get("/", (_req, res) => {
-  res
-    .type("text")
-    .send("WebGIS API is running.\nTry /health, /whoami, /blocks, /buildings\n");
-});
+let schemaReady = false; // ensureSchema succeeded (reported by /health/ready)
+
+// Runs on the "setup" pool (no statement timeout: index builds on big tables
+// take a while) and is retried with backoff while the database is unreachable.
+function setupSchema(delay = 5000) {
+  return dbContext.run("setup", ensureSchema)
+    .then(() => {
+      schemaReady = true;
+      log.info("Schema ready");
+    })
+    .catch(err => {
+      log.error("Schema setup failed", { error: err.message, retryInMs: delay });
+      setTimeout(() => setupSchema(Math.min(delay * 2, 60000)), delay);
+    });
+}
+
+async function ensureSchema() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ${ident(HISTORY_TABLE)} (
+      history_id     bigserial PRIMARY KEY,
+      layer          text NOT NULL,
+      feature_id     text NOT NULL,
+      action         text NOT NULL,          -- insert | update | delete | revert
+      changed_by     text,
+      changed_at     timestamptz NOT NULL DEFAULT now(),
+      old_properties jsonb,
+      new_properties jsonb,
+      old_geometry   jsonb,                  -- GeoJSON, EPSG:4326
+      new_geometry   jsonb
+    );
+    CREATE INDEX IF NOT EXISTS feature_history_feature_idx
+      ON ${ident(HISTORY_TABLE)} (layer, feature_id, changed_at DESC);
+
+    CREATE TABLE IF NOT EXISTS ${ident(STYLES_TABLE)} (
+      layer      text PRIMARY KEY,
+      style      jsonb NOT NULL,
+      updated_by text,
+      updated_at timestamptz NOT NULL DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS ${ident(VIEWS_TABLE)} (
+      id         text PRIMARY KEY,
+      name       text NOT NULL,
+      owner      text NOT NULL,
+      shared     boolean NOT NULL DEFAULT false,
+      state      jsonb NOT NULL,
+      created_at timestamptz NOT NULL DEFAULT now(),
+      updated_at timestamptz NOT NULL DEFAULT now()
+    );
+
+    CREATE OR REPLACE FUNCTION webgis_notify_change() RETURNS trigger AS $$
+    BEGIN
+      PERFORM pg_notify('webgis_changes', json_build_object(
+        'table', TG_TABLE_SCHEMA || '.' || TG_TABLE_NAME,
+        'op', lower(TG_OP),
+        'id', CASE WHEN TG_OP = 'DELETE' THEN to_jsonb(OLD) ->> TG_ARGV[0]
+                   ELSE to_jsonb(NEW) ->> TG_ARGV[0] END
+      )::text);
+      RETURN NULL;
+    END $$ LANGUAGE plpgsql;
+
+    -- args: layer name, id column, geometry column, exposed columns (JSON array, '' = all).
+    -- API transactions name the user and action with SET LOCAL webgis.changed_by /
+    -- webgis.action; other clients are recorded as their database role.
+    CREATE OR REPLACE FUNCTION webgis_record_history() RETURNS trigger AS $$
+    DECLARE
+      cols jsonb := NULLIF(TG_ARGV[3], '')::jsonb;
+      g geometry;
+      old_props jsonb;
+      new_props jsonb;
+      old_geom jsonb;
+      new_geom jsonb;
+    BEGIN
+      IF TG_OP <> 'INSERT' THEN
+        old_props := to_jsonb(OLD) - TG_ARGV[2];
+        EXECUTE format('SELECT ($1).%I', TG_ARGV[2]) USING OLD INTO g;
+        old_geom := ST_AsGeoJSON(CASE WHEN ST_SRID(g) IN (0, 4326) THEN g ELSE ST_Transform(g, 4326) END)::jsonb;
+      END IF;
+      IF TG_OP <> 'DELETE' THEN
+        new_props := to_jsonb(NEW) - TG_ARGV[2];
+        EXECUTE format('SELECT ($1).%I', TG_ARGV[2]) USING NEW INTO g;
+        new_geom := ST_AsGeoJSON(CASE WHEN ST_SRID(g) IN (0, 4326) THEN g ELSE ST_Transform(g, 4326) END)::jsonb;
+      END IF;
+      IF cols IS NOT NULL THEN
+        old_props := (SELECT jsonb_object_agg(key, value) FROM jsonb_each(old_props) WHERE cols ? key);
+        new_props := (SELECT jsonb_object_agg(key, value) FROM jsonb_each(new_props) WHERE cols ? key);
+      END IF;
+      IF TG_OP = 'UPDATE' AND old_props IS NOT DISTINCT FROM new_props AND old_geom IS NOT DISTINCT FROM new_geom THEN
+        RETURN NULL; -- nothing exposed changed
+      END IF;
+      INSERT INTO ${ident(HISTORY_TABLE)}
+        (layer, feature_id, action, changed_by, old_properties, new_properties, old_geometry, new_geometry)
+      VALUES (
+        TG_ARGV[0],
+        COALESCE(new_props, old_props) ->> TG_ARGV[1],
+        COALESCE(NULLIF(current_setting('webgis.action', true), ''), lower(TG_OP)),
+        COALESCE(NULLIF(current_setting('webgis.changed_by', true), ''), session_user),
+        old_props, new_props, old_geom, new_geom
+      );
+      RETURN NULL;
+    END $$ LANGUAGE plpgsql;
+  `);
 
-// 2) Health
-app.get("/health", async (_req, res) => {
   try {
-    await pool.query("SELECT 1");
-    res.json({ ok: true });
+    await pool.query("CREATE EXTENSION IF NOT EXISTS pg_trgm");
+    searchTrigram = true;
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    log.warn("pg_trgm not available, search falls back to ILIKE", { error: err.message });
   }
-});
 
-// 3) Who am I
-app.get("/whoami", async (_req, res) => {
+  // a missing search index fails the setup: /health/ready stays 503 and
+  // setupSchema retries, instead of every search silently scanning the table
+  const failed = [];
+  for (const layer of layers.values()) {
+    try {
+      await installChangeTrigger(layer);
+    } catch (err) {
+      log.error("Change trigger failed", { table: layer.table, error: err.message });
+    }
+    await installSearchIndexes(layer).catch(err => {
+      log.error("Search indexes failed", { table: layer.table, error: err.message });
+      failed.push(layer.table);
+    });
+  }
+  if (failed.length) throw new Error(`Search indexes failed on ${failed.join(", ")}`);
+}
+
+async function installChangeTrigger(layer) {
+  const exposed = layer.properties ? JSON.stringify([layer.id, ...layer.properties]) : "";
+  await pool.query(`
+    DROP TRIGGER IF EXISTS webgis_notify ON ${ident(layer.table)};
+    CREATE TRIGGER webgis_notify AFTER INSERT OR UPDATE OR DELETE ON ${ident(layer.table)}
+      FOR EACH ROW EXECUTE FUNCTION webgis_notify_change(${literal(layer.id)});
+    DROP TRIGGER IF EXISTS webgis_history ON ${ident(layer.table)};
+    CREATE TRIGGER webgis_history AFTER INSERT OR UPDATE OR DELETE ON ${ident(layer.table)}
+      FOR EACH ROW EXECUTE FUNCTION webgis_record_history(
+        ${literal(layer.name)}, ${literal(layer.id)}, ${literal(layer.geom)}, ${literal(exposed)});
+  `);
+}
+
+/* ───────────── Layer registry ───────────── */
+// Layers are read from LAYERS_FILE (default ./layers.json). Without that file,
+// every table in WHITELIST is exposed with the default column names below.
+// Entry shape:
+//   { "name": "buildings", "title": "Buildings", "table": "public.buildings",
+//     "geom": "geom", "id": "id", "label": "name", "properties": ["name", "floors"],
+//     "editable": true }
+// "properties" is optional; leave it out to expose every non-geometry column.
+// "editable" opens the layer to the create/update/delete routes.
+// "temporal": { "start": "built_at", "end": "demolished_at" } enables datetime filters.
+// "search": ["name", "address"] are the columns /search and ?q look in (default: label).
+const LAYER_DEFAULTS = { geom: "geom", id: "id", label: "name", properties: null, editable: false, temporal: null, search: null };
+
+const LAYERS_FILE = process.env.LAYERS_FILE || "layers.json";
+
+function loadLayerConfig() {
+  const file = LAYERS_FILE;
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+  return (process.env.WHITELIST || "public.blocks,public.buildings")
+    .split(",")
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(table => ({ name: table.split(".").pop(), table }));
+}
+
+const layers = new Map(); // name -> layer config
+for (const cfg of loadLayerConfig()) registerLayer(cfg);
+log.info("Layers", { layers: [...layers.keys()] });
+
+function registerLayer(cfg) {
+  if (!cfg.name || !cfg.table) {
+    throw new Error("Layer config needs name and table: " + JSON.stringify(cfg));
+  }
+  const layer = { ...LAYER_DEFAULTS, title: cfg.name, ...cfg };
+  layers.set(cfg.name, layer);
+  return layer;
+}
+
+// Layers added at runtime (imports) are written back when the registry is file-based
+function persistLayerConfig(cfg) {
+  if (!fs.existsSync(LAYERS_FILE)) return;
+  const list = JSON.parse(fs.readFileSync(LAYERS_FILE, "utf8"));
+  list.push(cfg);
+  fs.writeFileSync(LAYERS_FILE, JSON.stringify(list, null, 2) + "\n");
+}
+
+// Quote an SQL identifier: public.blocks → "public"."blocks"
+function ident(name) {
+  return String(name)
+    .split(".")
+    .map(part => `"${part.replace(/"/g, '""')}"`)
+    .join(".");
+}
+
+// Quote an SQL string literal (only for config values, never user input)
+function literal(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function splitTable(table) {
+  return table.includes(".") ? table.split(".") : ["public", table];
+}
+
+// Resolve :name to a registered layer the caller may use with at least `role`,
+// or answer 404 (unknown / not visible) or 403. Sets req.rowFilter.
+function getLayer(req, res, role = "viewer", name = req.params.name) {
+  const layer = layers.get(name);
+  const access = layer && layerAccess(req.user, layer);
+  if (!access) {
+    res.status(404).json({ error: `Unknown layer: ${name}` });
+    return null;
+  }
+  if (ROLE_RANK[access.role] < ROLE_RANK[role]) {
+    res.status(403).json({ error: `Needs ${role} access to layer ${name}` });
+    return null;
+  }
+  req.rowFilter = access.filter;
+  return layer;
+}
+
+// Column list + SRID per layer, read once from the catalog and cached
+const layerMeta = new Map(); // name -> { srid, geometryType, columns }
+
+async function getLayerMeta(layer) {
+  if (layerMeta.has(layer.name)) return layerMeta.get(layer.name);
+
+  const [schema, table] = splitTable(layer.table);
+  const { rows: cols } = await pool.query(
+    `SELECT column_name AS name,
+            CASE WHEN data_type = 'USER-DEFINED' THEN udt_name ELSE data_type END AS type
+     FROM information_schema.columns
+     WHERE table_schema = $1 AND table_name = $2
+     ORDER BY ordinal_position`,
+    [schema, table]
+  );
+  if (!cols.length) throw new Error(`Table not found: ${layer.table}`);
+
+  const { rows: geo } = await pool.query(
+    `SELECT srid, type FROM geometry_columns
+     WHERE f_table_schema = $1 AND f_table_name = $2 AND f_geometry_column = $3`,
+    [schema, table, layer.geom]
+  );
+
+  const meta = {
+    srid: geo[0]?.srid ?? 0,
+    geometryType: geo[0]?.type ?? "GEOMETRY",
+    columns: cols.filter(
+      c => c.name !== layer.geom &&
+        (!layer.properties || c.name === layer.id || layer.properties.includes(c.name))
+    ),
+  };
+  layerMeta.set(layer.name, meta);
+  return meta;
+}
+
+// SRID used for SQL; unconstrained columns (srid 0) are assumed to be 4326
+function tableSrid(meta) {
+  return meta.srid || 4326;
+}
+
+// Layer geometry as EPSG:4326 (GeoJSON / Leaflet)
+function geomSQL(layer, meta, alias = "row") {
+  const g = `${alias}.${ident(layer.geom)}`;
+  return tableSrid(meta) === 4326 ? g : `ST_Transform(${g}, 4326)`;
+}
+
+// Shared ?q / ?bbox / ?filter / ?ids / ?datetime handling. Appends to params, returns WHERE parts.
+// rowFilter is the caller's row-level permission (see Authentication), always applied.
+function layerFilters(layer, meta, query, params, rowFilter = null) {
+  const p = v => (params.push(v), `$${params.length}`);
+  const where = [];
+  const q = query.q ? String(query.q).trim() : null;
+  const bbox = query.bbox ? String(query.bbox).split(",").map(Number) : null;
+
+  if (q && searchColumns(layer).length) {
+    where.push(`${searchDocSQL(layer)} ILIKE '%' || ${p(q)} || '%'`); // trigram index (see Search)
+  }
+  if (bbox && bbox.length === 4 && bbox.every(Number.isFinite)) {
+    const env = `ST_MakeEnvelope(${p(bbox[0])}, ${p(bbox[1])}, ${p(bbox[2])}, ${p(bbox[3])}, 4326)`;
+    const srid = tableSrid(meta);
+    where.push(
+      `ST_Intersects(${ident(layer.geom)}, ${srid === 4326 ? env : `ST_Transform(${env}, ${srid})`})`
+    );
+  }
+  if (query.filter) {
+    where.push(compileFilter(query.filter, meta.columns, params));
+  }
+  if (query.ids) {
+    const ids = String(query.ids).split(",").map(s => s.trim()).filter(Boolean);
+    if (ids.length) where.push(`${ident(layer.id)}::text = ANY(${p(ids)}::text[])`);
+  }
+  if (query.datetime) {
+    where.push(...datetimeWhere(layer, parseDatetime(query.datetime), params));
+  }
+  if (rowFilter) {
+    where.push(compileFilter(rowFilter, meta.columns, params));
+  }
+  return where;
+}
+
+// Columns selected for a layer: exposed properties + geometry
+function selectColumns(layer, meta) {
+  return [...meta.columns.map(c => ident(c.name)), ident(layer.geom)].join(", ");
+}
+
+// One GeoJSON Feature per row of the subquery aliased "row".
+// "version" is a hash of the exposed columns + geometry: it changes with any
+// edit (API or QGIS) and is what PATCH/DELETE compare against (If-Match).
+function featureSQL(layer, meta) {
+  return `jsonb_build_object(
+    'type','Feature',
+    'id', row.${ident(layer.id)},
+    'version', ${versionSQL(layer, meta)},
+    'geometry', ST_AsGeoJSON(${geomSQL(layer, meta)})::jsonb,
+    'properties', to_jsonb(row) - ${literal(layer.geom)}
+  )`;
+}
+
+function versionSQL(layer, meta, alias = "row") {
+  const cols = [...meta.columns.map(c => c.name), layer.geom].map(c => `${alias}.${ident(c)}`);
+  return `md5(jsonb_build_array(${cols.join(", ")})::text)`;
+}
+
+// Keyset cursors are opaque to clients: base64url({"id": <last id>})
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
   try {
-    const { rows } = await pool.query(`
-      SELECT
-        current_user,
-        inet_client_addr()  AS client_ip,
-        inet_server_addr()  AS server_ip,
-        inet_server_port()  AS server_port
-    `);
-    res.json(rows?.[0] || {});
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+    const { id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (id === undefined || id === null) throw new Error();
+    return id;
+  } catch {
+    const err = new Error("Invalid cursor");
+    err.status = 400;
+    throw err;
   }
-});
+}
 
-// 4) /blocks → public.blocks (geom), with ?limit & ?bbox & ?q
-app.get("/blocks", async (req, res) => {
+// Query params to repeat in response links: never ?access_token (a bearer
+// credential would end up in cached and logged bodies) or the ?_ cache buster
+function linkParams(query, overrides = {}) {
+  const qs = new URLSearchParams({ ...query, ...overrides });
+  qs.delete("access_token");
+  qs.delete("_");
+  return qs;
+}
+
+// Absolute URL of this request with some query params replaced
+function selfUrl(req, overrides = {}) {
+  const qs = linkParams(req.query, overrides);
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}?${qs}`;
+}
+
+// GeoJSON page ordered by primary key: ?limit, ?cursor (+ ?q, ?bbox).
+// ?format=ndjson streams every matching feature instead (see streamLayerGeoJSON).
+async function sendLayerGeoJSON(layer, req, res) {
   try {
-    const limit = Math.min(Number(req.query.limit) || 1000, 10000);
-    const q = req.query.q ? String(req.query.q).trim() : null;
-    const bbox = req.query.bbox ? req.query.bbox.split(",").map(Number) : null;
+    if (req.query.format === "ndjson") return await streamLayerGeoJSON(layer, req, res);
 
-    const where = [];
+    const meta = await getLayerMeta(layer);
+    const limit = Math.min(Number(req.query.limit) || 1000, 10000);
+    const after = decodeCursor(req.query.cursor);
     const params = [];
-    let i = 0;
+    const where = layerFilters(layer, meta, req.query, params, req.rowFilter);
+    const countWhere = where.slice();
+    const countParams = params.slice();
 
-    if (q) {
-      where.push(`name ILIKE '%' || $${++i} || '%'`);
-      params.push(q);
+    if (after !== null) {
+      params.push(after);
+      where.push(`${ident(layer.id)} > $${params.length}`);
     }
-    if (bbox && bbox.length === 4 && bbox.every(Number.isFinite)) {
-      where.push(
-        `ST_Intersects(geom, ST_MakeEnvelope($${++i}, $${++i}, $${++i}, $${++i}, 4326))`
-      );
-      params.push(bbox[0], bbox[1], bbox[2], bbox[3]);
-    }
-
     const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
 
+    // fetch one extra row to know whether another page exists
     const sql = `
-      SELECT jsonb_build_object(
-        'type','FeatureCollection',
-        'features', COALESCE(jsonb_agg(
-          jsonb_build_object(
-            'type','Feature',
-            'geometry', ST_AsGeoJSON(geom)::jsonb,
-            'properties', to_jsonb(row) - 'geom'
-          )
-        ), '[]'::jsonb)
-      ) AS geojson
+      SELECT COALESCE(jsonb_agg(${featureSQL(layer, meta)} ORDER BY row.${ident(layer.id)}), '[]'::jsonb) AS features
       FROM (
-        SELECT * FROM public.blocks
+        SELECT ${selectColumns(layer, meta)} FROM ${ident(layer.table)}
         ${whereSQL}
-        LIMIT ${limit}
+        ORDER BY ${ident(layer.id)}
+        LIMIT $${params.push(limit + 1)}
       ) row;
     `;
+    const [{ rows }, numberMatched] = await Promise.all([
+      pool.query(sql, params),
+      countFeatures(layer, countWhere, countParams),
+    ]);
+
+    const features = rows[0].features;
+    const hasMore = features.length > limit;
+    if (hasMore) features.pop();
+
+    const links = [{ rel: "self", type: "application/geo+json", href: selfUrl(req) }];
+    let next = null;
+    if (hasMore) {
+      next = encodeCursor(features[features.length - 1].id);
+      links.push({ rel: "next", type: "application/geo+json", href: selfUrl(req, { cursor: next }) });
+    }
 
-    const { rows } = await pool.query(sql, params);
     res.set("Cache-Control", "no-store");
-    res.json(rows?.[0]?.geojson ?? { type: "FeatureCollection", features: [] });
+    res.json({
+      type: "FeatureCollection",
+      numberMatched,
+      numberReturned: features.length,
+      next,
+      links,
+      features,
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
-});
+}
 
-// 5) /buildings → public.buildings (geom), same filters
-app.get("/buildings", async (req, res) => {
-  try {
-    const limit = Math.min(Number(req.query.limit) || 1000, 10000);
-    const q = req.query.q ? String(req.query.q).trim() : null;
-    const bbox = req.query.bbox ? req.query.bbox.split(",").map(Number) : null;
+// Newline-delimited GeoJSON (one Feature per line) read through a pg cursor,
+// so the full result never sits in memory. Honours ?q, ?bbox, ?cursor, ?limit.
+async function streamLayerGeoJSON(layer, req, res) {
+  const meta = await getLayerMeta(layer);
+  const after = decodeCursor(req.query.cursor);
+  const limit = Number(req.query.limit) > 0 ? Math.floor(Number(req.query.limit)) : null;
+  const params = [];
+  const where = layerFilters(layer, meta, req.query, params, req.rowFilter);
+  if (after !== null) {
+    params.push(after);
+    where.push(`${ident(layer.id)} > $${params.length}`);
+  }
+  const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
 
-    const where = [];
-    const params = [];
-    let i = 0;
+  const sql = `
+    SELECT ${featureSQL(layer, meta)} AS feature
+    FROM (
+      SELECT ${selectColumns(layer, meta)} FROM ${ident(layer.table)}
+      ${whereSQL}
+      ORDER BY ${ident(layer.id)}
+      ${limit ? `LIMIT $${params.push(limit)}` : ""}
+    ) row;
+  `;
 
-    // adjust "name" if your label field differs
-    if (q) { where.push(`name ILIKE '%' || $${++i} || '%'`); params.push(q); }
+  let closed = false;
+  req.on("close", () => { closed = true; });
 
-    if (bbox && bbox.length === 4 && bbox.every(Number.isFinite)) {
-      where.push(
-        `ST_Intersects(geom, ST_MakeEnvelope($${++i}, $${++i}, $${++i}, $${++i}, 4326))`
-      );
-      params.push(bbox[0], bbox[1], bbox[2], bbox[3]);
+  try {
+    res.set("Cache-Control", "no-store");
+    res.type("application/x-ndjson");
+    await eachRowBatch(sql, params, rows =>
+      writeChunk(res, rows.map(r => JSON.stringify(r.feature)).join("\n") + "\n"), () => closed);
+    res.end();
+  } catch (err) {
+    if (!res.headersSent) return sendError(res, err);
+    log.error("Stream failed", { requestId: req.id, error: err.message });
+    res.destroy(err); // mid-stream: all we can do is cut it
+  }
+}
+
+// Run a query through a pg cursor, handing batches of rows to onRows
+async function eachRowBatch(sql, params, onRows, stopped = () => false) {
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(sql, params));
+  try {
+    for (;;) {
+      const rows = await cursor.read(500);
+      if (!rows.length || stopped()) break;
+      await onRows(rows);
     }
+  } finally {
+    await cursor.close().catch(() => {});
+    client.release();
+  }
+}
 
-    const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+// write() that waits for drain (or close) when the stream buffer is full
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => { stream.once("drain", resolve); stream.once("close", resolve); });
+}
 
-    const sql = `
-      SELECT jsonb_build_object(
-        'type','FeatureCollection',
-        'features', COALESCE(jsonb_agg(
-          jsonb_build_object(
-            'type','Feature',
-            'geometry', ST_AsGeoJSON(geom)::jsonb,
-            'properties', to_jsonb(row) - 'geom'
-          )
-        ), '[]'::jsonb)
-      ) AS geojson
-      FROM (
-        SELECT * FROM public.buildings
-        ${whereSQL}
-        LIMIT ${limit}
-      ) row;
-    `;
+// Features matching WHERE parts as an array; row order follows orderBy
+async function queryFeatures(layer, meta, { where = [], params = [], extra = "", orderBy = null, limit = 10000, offset = 0 } = {}) {
+  const sql = `
+    SELECT ${featureSQL(layer, meta)} AS feature
+    FROM (
+      SELECT ${selectColumns(layer, meta)}${extra ? ", " + extra : ""}
+      FROM ${ident(layer.table)}
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY ${orderBy || ident(layer.id)}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    ) row;
+  `;
+  // a copy: callers reuse params for the count query
+  const { rows } = await pool.query(sql, [...params, limit, offset]);
+  return rows.map(r => r.feature);
+}
 
-    const { rows } = await pool.query(sql, params);
-    res.set("Cache-Control", "no-store");
-    res.json(rows?.[0]?.geojson ?? { type: "FeatureCollection", features: [] });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+async function countFeatures(layer, where = [], params = []) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM ${ident(layer.table)} ${where.length ? `WHERE ${where.join(" AND ")}` : ""}`,
+    params
+  );
+  return rows[0].count;
+}
+
+// OGC datetime: instant "2020-05-01T00:00:00Z" or interval "a/b", open ends ".." or ""
+function parseDatetime(value) {
+  const parts = String(value).split("/");
+  if (parts.length > 2) throw httpError(400, "Invalid datetime");
+  const toIso = s => {
+    if (s === ".." || s === "") return null;
+    const d = new Date(s);
+    if (Number.isNaN(d.getTime())) throw httpError(400, `Invalid datetime: ${s}`);
+    return d.toISOString();
+  };
+  if (parts.length === 1) {
+    const t = toIso(parts[0]);
+    if (!t) throw httpError(400, "Invalid datetime");
+    return { start: t, end: t };
   }
-});
+  return { start: toIso(parts[0]), end: toIso(parts[1]) };
+}
 
-// 6) Debug stats for buildings
-app.get("/debug/buildings-stats", async (_req, res) => {
+// Features whose [start, end] life span overlaps the requested range.
+// Needs "temporal": { "start": col, "end": col? } in the layer config; a NULL
+// start means "always existed", a NULL end "still exists".
+function datetimeWhere(layer, range, params) {
+  const t = layer.temporal;
+  if (!t?.start) return [];
+  const startCol = ident(t.start);
+  const endCol = ident(t.end || t.start);
+  const where = [];
+  if (range.end) {
+    params.push(range.end);
+    where.push(`(${startCol} IS NULL OR ${startCol} <= $${params.length}::timestamptz)`);
+  }
+  if (range.start) {
+    params.push(range.start);
+    where.push(`(${endCol} IS NULL OR ${endCol} >= $${params.length}::timestamptz)`);
+  }
+  return where;
+}
+
+const GEOMETRY_TYPES = ["Point", "MultiPoint", "LineString", "MultiLineString", "Polygon", "MultiPolygon", "GeometryCollection"];
+
+// Geometry (or Feature) from a request body → bind param, as SQL in the table SRID
+function inputGeomSQL(geojson, meta, params) {
+  const geom = geojson?.type === "Feature" ? geojson.geometry : geojson;
+  if (!geom || !GEOMETRY_TYPES.includes(geom.type) || !(geom.coordinates || geom.geometries)) {
+    const err = new Error("Body needs a GeoJSON geometry (EPSG:4326)");
+    err.status = 400;
+    throw err;
+  }
+  params.push(JSON.stringify(geom));
+  const g = `ST_SetSRID(ST_GeomFromGeoJSON($${params.length}), 4326)`;
+  return tableSrid(meta) === 4326 ? g : `ST_Transform(${g}, ${tableSrid(meta)})`;
+}
+
+// Catalog entry: config + SRID, extent (EPSG:4326), feature count, schema,
+// and the [first start, last end] time span for temporal layers
+async function describeLayer(layer) {
+  const meta = await getLayerMeta(layer);
+  const t = layer.temporal;
+  const { rows } = await pool.query(`
+    SELECT count, ST_XMin(ext) AS xmin, ST_YMin(ext) AS ymin,
+           ST_XMax(ext) AS xmax, ST_YMax(ext) AS ymax, tmin, tmax
+    FROM (
+      SELECT COUNT(*)::int AS count, ST_Extent(${geomSQL(layer, meta)}) AS ext,
+             ${t?.start ? `MIN(${ident(t.start)})::timestamptz` : "NULL::timestamptz"} AS tmin,
+             ${t?.start ? `MAX(${ident(t.end || t.start)})::timestamptz` : "NULL::timestamptz"} AS tmax
+      FROM ${ident(layer.table)} row
+    ) s
+  `);
+  const r = rows[0];
+  return {
+    name: layer.name,
+    title: layer.title,
+    geometryType: meta.geometryType,
+    srid: meta.srid,
+    idColumn: layer.id,
+    labelColumn: layer.label,
+    editable: layer.editable,
+    count: r.count,
+    extent: r.xmin === null ? null : [r.xmin, r.ymin, r.xmax, r.ymax],
+    temporalExtent: t?.start ? [r.tmin, r.tmax] : null,
+    schema: meta.columns,
+  };
+}
+
+/* ───────────── Feature editing helpers ───────────── */
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+// null when the JSON value fits the column type, else a short reason
+function checkValue(col, v) {
+  if (v === null) return null;
+  const t = col.type;
+  if (/^(smallint|integer|bigint)$/.test(t)) return Number.isInteger(v) ? null : "expected integer";
+  if (/^(numeric|real|double precision)$/.test(t)) return Number.isFinite(v) ? null : "expected number";
+  if (t === "boolean") return typeof v === "boolean" ? null : "expected boolean";
+  if (/^(text|character varying|character|uuid)$/.test(t)) return typeof v === "string" ? null : "expected string";
+  if (/^(date|timestamp)/.test(t)) {
+    return typeof v === "string" && !Number.isNaN(Date.parse(v)) ? null : "expected ISO date string";
+  }
+  return null; // json/jsonb and anything exotic: let Postgres decide
+}
+
+// Columns + SQL values for an insert/update from { geometry?, properties? }.
+// Geometry is checked with ST_IsValid after transforming to the table SRID;
+// inside a transaction pass its client as db, not to hold a second connection.
+async function featureWriteValues(layer, meta, body, params, { create, db = pool }) {
+  const props = body?.properties ?? {};
+  if (typeof props !== "object" || Array.isArray(props)) throw httpError(400, "properties must be an object");
+
+  const cols = new Map(meta.columns.map(c => [c.name, c]));
+  const problems = [];
+  const columns = [];
+  const values = [];
+
+  for (const [k, v] of Object.entries(props)) {
+    const col = cols.get(k);
+    if (!col) { problems.push({ field: k, error: "unknown column" }); continue; }
+    if (k === layer.id && !create) continue; // ids are not editable
+    const why = checkValue(col, v);
+    if (why) { problems.push({ field: k, error: why }); continue; }
+    params.push(col.type === "jsonb" || col.type === "json" ? JSON.stringify(v) : v);
+    columns.push(ident(k));
+    values.push(`$${params.length}`);
+  }
+
+  if (body?.geometry !== undefined || create) {
+    const makeGeom = p => {
+      const g = inputGeomSQL(body?.geometry, meta, p);
+      return meta.geometryType.startsWith("MULTI") ? `ST_Multi(${g})` : g;
+    };
+    const checkParams = [];
+    const { rows } = await db
+      .query(
+        `SELECT ST_IsValid(g) AS valid, ST_IsValidReason(g) AS reason FROM (SELECT ${makeGeom(checkParams)} AS g) s`,
+        checkParams
+      )
+      .catch(e => { throw httpError(422, "Validation failed", [{ field: "geometry", error: dataErrorMessage(e) }]); });
+    if (!rows[0].valid) problems.push({ field: "geometry", error: rows[0].reason });
+    columns.push(ident(layer.geom));
+    values.push(makeGeom(params));
+  }
+
+  if (problems.length) throw httpError(422, "Validation failed", problems);
+  return { columns, values };
+}
+
+async function getFeature(layer, meta, id, rowFilter = null) {
+  const params = [id];
+  const where = [`${ident(layer.id)} = $1`];
+  if (rowFilter) where.push(compileFilter(rowFilter, meta.columns, params));
+  const features = await queryFeatures(layer, meta, { where, params, limit: 1 });
+  return features[0] || null;
+}
+
+function requireEditable(layer) {
+  if (!layer.editable) throw httpError(403, `Layer ${layer.name} is read-only`);
+}
+
+async function withTransaction(fn) {
+  const client = await pool.connect();
   try {
-    const { rows: cnt } = await pool.query(
-      `SELECT COUNT(*)::int AS count FROM public.buildings`
-    );
-    const { rows: sr } = await pool.query(
-      `SELECT COALESCE(ST_SRID(geom),0) AS srid
-       FROM public.buildings
-       WHERE geom IS NOT NULL
-       LIMIT 1`
-    );
-    const { rows: bbox } = await pool.query(
-      `SELECT ST_Extent(geom) AS extent FROM public.buildings`
-    );
-    res.json({
-      count: cnt[0].count,
-      srid: sr[0]?.srid ?? 0,
-      extent: bbox[0].extent,
-    });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
   }
-});
+}
 
-/* ───────────── Start server ───────────── */
-const port = Number(process.env.PORT || 3000);
-app.listen(port, () => {
-  console.log(`✅ API running on http://localhost:${port}`);
-});
+// Current state of one feature, row-locked until the transaction ends (or null,
+// also when the row is outside the caller's row filter)
+async function lockFeature(client, layer, meta, id, rowFilter = null) {
+  const params = [id];
+  const filterSQL = rowFilter ? `AND ${compileFilter(rowFilter, meta.columns, params)}` : "";
+  const { rows } = await client.query(
+    `SELECT ${featureSQL(layer, meta)} AS feature
+     FROM (
+       SELECT ${selectColumns(layer, meta)} FROM ${ident(layer.table)}
+       WHERE ${ident(layer.id)} = $1 ${filterSQL}
+       FOR UPDATE
+     ) row`,
+    params
+  );
+  return rows[0]?.feature ?? null;
+}
+
+// Version the client last saw: If-Match header or body.version (optional)
+function expectedVersion(req) {
+  const header = req.get("If-Match");
+  if (header && header !== "*") return header.replace(/^W\//, "").replace(/"/g, "");
+  return req.body?.version ?? null;
+}
+
+function checkVersion(req, current) {
+  const expected = expectedVersion(req);
+  if (expected && expected !== current.version) {
+    const err = httpError(409, "Feature was changed by someone else");
+    err.current = current;
+    throw err;
+  }
+}
+
+// Who made the change: the authenticated user (or API key name)
+function editorName(req) {
+  return req.user?.name || "anonymous";
+}
+
+// The history trigger (see Schema setup) writes the entry; this names the user
+// and, for reverts, the action for the rest of the transaction (SET LOCAL).
+async function tagChanges(client, user, action = "") {
+  await client.query(
+    "SELECT set_config('webgis.changed_by', $1, true), set_config('webgis.action', $2, true)",
+    [user, action]
+  );
+}
+
+function sendFeature(res, feature, status = 200) {
+  res.set("ETag", `"${feature.version}"`);
+  res.set("Cache-Control", "no-store");
+  res.status(status).json(feature);
+}
+
+// Postgres errors caused by the values a client sent: SQLSTATE → [status, message]
+const PG_CLIENT_ERRORS = {
+  "22P02": [400, "Invalid value for the column type"],
+  "22003": [400, "Number out of range for the column"],
+  "22007": [400, "Invalid date or time value"],
+  "22008": [400, "Date or time value out of range"],
+  "23502": [400, "A required column has no value"],
+  "23514": [400, "A value breaks a check constraint of the table"],
+  "23503": [409, "The change conflicts with a related record"],
+  "23505": [409, "A feature with that key already exists"],
+  "57014": [503, "The query took too long; narrow it down (bbox, filter, limit)"],
+};
+
+// Postgres error about the client's own data, for 422 reports: data
+// exceptions (class 22) and PostGIS/GEOS errors (XX000) name only the bad
+// value or geometry, so they pass; anything else gets its fixed message.
+function dataErrorMessage(err) {
+  if (err.code === "XX000" || /^22/.test(err.code || "")) return err.message;
+  return PG_CLIENT_ERRORS[err.code]?.[1] || "rejected by the database";
+}
+
+// Errors with a status (httpError, body parser) keep their message; Postgres
+// errors get the fixed message of their SQLSTATE and anything else a plain
+// 500, so SQL, table names and paths never reach the client. 5xx are logged
+// in full under the request id, which the body carries too.
+function sendError(res, err) {
+  const known = PG_CLIENT_ERRORS[err.code];
+  const status = err.status || known?.[0] || 500;
+  if (status >= 500) log.error(err.message, { requestId: res.req.id, code: err.code, stack: err.stack });
+  const message = err.status ? err.message : known ? known[1] : "Internal server error";
+  res.status(status).json({ error: message, details: err.details, current: err.current });
+}
+
+/* ───────────── Filter language (CQL2-text subset) ───────────── */
+// ?filter=floors >= 3 AND use IN ('school','clinic')
+// Supported: = <> != < <= > >=, [NOT] LIKE, [NOT] IN (...), [NOT] BETWEEN x AND y,
+// IS [NOT] NULL, AND / OR / NOT, parentheses; numbers, 'strings', TRUE/FALSE.
+// Column names are checked against the layer's real columns and every literal
+// becomes a bind parameter, so nothing from the client reaches the SQL text.
+const FILTER_KEYWORDS = new Set(["AND", "OR", "NOT", "LIKE", "IN", "BETWEEN", "IS", "NULL", "TRUE", "FALSE"]);
+const FILTER_MAX_LENGTH = 2000;
+
+function filterError(msg) {
+  const err = new Error("Invalid filter: " + msg);
+  err.status = 400;
+  return err;
+}
+
+function tokenizeFilter(text) {
+  const re = /\s*(?:(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|'((?:[^']|'')*)'|"((?:[^"]|"")+)"|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|<>|!=|=|<|>|\(|\)|,))/y;
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (!m) throw filterError(`unexpected input at position ${pos}`);
+    pos = re.lastIndex;
+    if (m[1] !== undefined) tokens.push({ type: "number", value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: "string", value: m[2].replace(/''/g, "'") });
+    else if (m[3] !== undefined) tokens.push({ type: "column", value: m[3].replace(/""/g, '"') });
+    else if (m[4] !== undefined) {
+      const up = m[4].toUpperCase();
+      tokens.push(FILTER_KEYWORDS.has(up) ? { type: "keyword", value: up } : { type: "column", value: m[4] });
+    } else tokens.push({ type: "op", value: m[5] });
+  }
+  return tokens;
+}
+
+// Compile a filter expression to SQL; literals are appended to params
+function compileFilter(text, columns, params) {
+  text = String(text);
+  if (text.length > FILTER_MAX_LENGTH) throw filterError("too long");
+  const tokens = tokenizeFilter(text);
+  const known = new Set(columns.map(c => c.name));
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const isKw = (kw, t = peek()) => t?.type === "keyword" && t.value === kw;
+  const isOp = (op, t = peek()) => t?.type === "op" && t.value === op;
+  const expectKw = kw => { if (!isKw(kw)) throw filterError(`expected ${kw}`); i++; };
+  const expectOp = op => { if (!isOp(op)) throw filterError(`expected "${op}"`); i++; };
+
+  function operand() {
+    const t = tokens[i++];
+    if (!t) throw filterError("unexpected end");
+    if (t.type === "column") {
+      if (!known.has(t.value)) throw filterError(`unknown column "${t.value}"`);
+      return ident(t.value);
+    }
+    if (t.type === "number" || t.type === "string") {
+      params.push(t.value);
+      return `$${params.length}`;
+    }
+    if (isKw("TRUE", t) || isKw("FALSE", t)) return t.value;
+    throw filterError(`unexpected "${t.value}"`);
+  }
+
+  function predicate() {
+    const left = operand();
+    if (isKw("IS")) {
+      i++;
+      const not = isKw("NOT") ? (i++, " NOT") : "";
+      expectKw("NULL");
+      return `${left} IS${not} NULL`;
+    }
+    const not = isKw("NOT") ? (i++, "NOT ") : "";
+    if (isKw("LIKE")) {
+      i++;
+      return `${left}::text ${not}LIKE ${operand()}`;
+    }
+    if (isKw("IN")) {
+      i++;
+      expectOp("(");
+      const list = [operand()];
+      while (isOp(",")) { i++; list.push(operand()); }
+      expectOp(")");
+      return `${left} ${not}IN (${list.join(", ")})`;
+    }
+    if (isKw("BETWEEN")) {
+      i++;
+      const lo = operand();
+      expectKw("AND");
+      return `${left} ${not}BETWEEN ${lo} AND ${operand()}`;
+    }
+    if (not) throw filterError("expected LIKE, IN or BETWEEN after NOT");
+    const t = tokens[i++];
+    if (t?.type !== "op" || !["=", "<>", "!=", "<", "<=", ">", ">="].includes(t.value)) {
+      throw filterError("expected comparison operator");
+    }
+    return `${left} ${t.value === "!=" ? "<>" : t.value} ${operand()}`;
+  }
+
+  function primary() {
+    if (isKw("NOT")) { i++; return `NOT (${primary()})`; }
+    if (isOp("(")) {
+      i++;
+      const inner = orExpr();
+      expectOp(")");
+      return `(${inner})`;
+    }
+    return predicate();
+  }
+
+  function andExpr() {
+    const parts = [primary()];
+    while (isKw("AND")) { i++; parts.push(primary()); }
+    return parts.join(" AND ");
+  }
+
+  function orExpr() {
+    const parts = [andExpr()];
+    while (isKw("OR")) { i++; parts.push(andExpr()); }
+    return parts.length > 1 ? `(${parts.join(" OR ")})` : parts[0];
+  }
+
+  if (!tokens.length) throw filterError("empty expression");
+  const sql = orExpr();
+  if (i < tokens.length) throw filterError(`unexpected "${tokens[i].value}"`);
+  return `(${sql})`;
+}
+
+/* ───────────── Vector tile cache ───────────── */
+// Small in-process LRU (Map keeps insertion order; re-insert on hit).
+// Keys are "layer/z/x/y"; invalidateTiles(layer) drops one layer's tiles and
+// bumps its generation so old ETags stop matching.
+const TILE_CACHE_SIZE = Number(process.env.TILE_CACHE_SIZE || 2000);
+const tileCache = new Map();      // key -> { body, etag }
+const tileGeneration = new Map(); // layer name -> counter
+
+function tileCacheGet(key) {
+  const hit = tileCache.get(key);
+  if (hit) {
+    tileCache.delete(key);
+    tileCache.set(key, hit);
+  }
+  return hit;
+}
+
+function tileCacheSet(key, entry) {
+  tileCache.set(key, entry);
+  while (tileCache.size > TILE_CACHE_SIZE) {
+    tileCache.delete(tileCache.keys().next().value);
+  }
+}
+
+function invalidateTiles(layerName) {
+  for (const key of tileCache.keys()) {
+    if (key.startsWith(layerName + "/")) tileCache.delete(key);
+  }
+  tileGeneration.set(layerName, (tileGeneration.get(layerName) || 0) + 1);
+}
+
+async function buildTile(layer, z, x, y, filter, datetime = null) {
+  const meta = await getLayerMeta(layer);
+  const srid = tableSrid(meta);
+  const props = meta.columns.map(c => `t.${ident(c.name)}`).join(", ");
+  const params = [z, x, y];
+  const conditions = filter ? [compileFilter(filter, meta.columns, params)] : [];
+  if (datetime) conditions.push(...datetimeWhere(layer, parseDatetime(datetime), params));
+  const filterSQL = conditions.map(c => `AND ${c}`).join(" ");
+  const { rows } = await pool.query(
+    `
+    WITH bounds AS (SELECT ST_TileEnvelope($1, $2, $3) AS geom),
+    mvtgeom AS (
+      SELECT ST_AsMVTGeom(ST_Transform(t.${ident(layer.geom)}, 3857), bounds.geom) AS geom
+             ${props ? ", " + props : ""}
+      FROM ${ident(layer.table)} t, bounds
+      WHERE t.${ident(layer.geom)} && ST_Transform(bounds.geom, ${srid})
+      ${filterSQL}
+    )
+    SELECT ST_AsMVT(mvtgeom.*, ${literal(layer.name)}, 4096, 'geom') AS tile FROM mvtgeom
+    `,
+    params
+  );
+  const body = rows[0]?.tile ?? Buffer.alloc(0);
+  const hash = crypto.createHash("sha1").update(body).digest("hex").slice(0, 16);
+  return { body, etag: `"${tileGeneration.get(layer.name) || 0}-${hash}"` };
+}
+
+/* ───────────── Live changes (LISTEN/NOTIFY → SSE) ───────────── */
+// One dedicated connection LISTENs on "webgis_changes" (see ensureSchema).
+// Each notification drops the layer's cached tiles and is fanned out to the
+// /events subscribers with the fresh feature (null for deletes).
+const sseClients = new Set(); // { res, layers: Set<name> | null, user }
+let sseEventId = 0;
+
+function sseMessage(event, data) {
+  return `id: ${++sseEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// subscribers of a layer that may see it → [client, access]
+function layerSubscribers(layerName) {
+  const layer = layers.get(layerName);
+  const out = [];
+  for (const c of sseClients) {
+    if (c.layers && !c.layers.has(layerName)) continue;
+    const access = layer && layerAccess(c.user, layer);
+    if (access) out.push([c, access]);
+  }
+  return out;
+}
+
+function broadcast(event, data, layerName) {
+  const msg = sseMessage(event, data);
+  for (const [c] of layerSubscribers(layerName)) c.res.write(msg);
+}
+
+function layersForTable(table) {
+  const key = splitTable(table).join(".");
+  return [...layers.values()].filter(l => splitTable(l.table).join(".") === key);
+}
+
+// Subscribers with a row filter get the feature only while it matches their
+// filter; one that moved out of it arrives as a delete.
+async function handleChange(payload) {
+  const { table, op, id } = JSON.parse(payload);
+  for (const layer of layersForTable(table)) {
+    invalidateTiles(layer.name);
+    const subscribers = layerSubscribers(layer.name);
+    if (!subscribers.length) continue;
+    const meta = await getLayerMeta(layer);
+    const byFilter = new Map(); // row filter ("" = none) → feature or null
+    for (const [c, access] of subscribers) {
+      const key = access.filter || "";
+      if (op !== "delete" && !byFilter.has(key)) byFilter.set(key, await getFeature(layer, meta, id, access.filter));
+      const feature = op === "delete" ? null : byFilter.get(key);
+      c.res.write(sseMessage("change", { layer: layer.name, op: feature || op === "delete" ? op : "delete", id, feature }));
+    }
+  }
+}
+
+let listening = false; // the LISTEN connection is up (reported by /health)
+
+function startChangeListener(delay = 1000) {
+  const client = new Client(dbCfg);
+  let retrying = false;
+  const retry = err => {
+    if (retrying) return;
+    retrying = true;
+    listening = false;
+    log.error("LISTEN connection lost", { error: err?.message || "closed", retryInMs: delay });
+    client.end().catch(() => {});
+    setTimeout(() => startChangeListener(Math.min(delay * 2, 60000)), delay);
+  };
+
+  client.on("notification", msg => {
+    handleChange(msg.payload).catch(err => log.error("Change notification failed", { error: err.message }));
+  });
+  client.on("error", retry);
+  client.on("end", () => retry());
+  client
+    .connect()
+    .then(() => client.query("LISTEN webgis_changes"))
+    .then(() => {
+      listening = true;
+      log.info("Listening for layer changes");
+    })
+    .catch(retry);
+}
+
+// keep idle SSE connections open through proxies
+setInterval(() => {
+  for (const c of sseClients) c.res.write(": ping\n\n");
+}, 25000).unref();
+
+/* ───────────── Export ───────────── */
+// GeoJSON and CSV (geometry as WKT) are streamed straight from a pg cursor.
+// GeoPackage, zipped Shapefile and KML go through GDAL's ogr2ogr: features
+// are first written to a temporary GeoJSON file, then converted.
+const OGR2OGR = process.env.OGR2OGR || "ogr2ogr";
+const EXPORT_FORMATS = {
+  geojson: { ext: "geojson", type: "application/geo+json" },
+  csv: { ext: "csv", type: "text/csv; charset=utf-8" },
+  gpkg: { ext: "gpkg", type: "application/geopackage+sqlite3", driver: "GPKG" },
+  shp: { ext: "shp.zip", type: "application/zip", driver: "ESRI Shapefile" },
+  kml: { ext: "kml", type: "application/vnd.google-earth.kml+xml", driver: "KML" }, // always EPSG:4326
+};
+
+// ?srs=3857 or ?srs=EPSG:3857 → SRID (checked against spatial_ref_sys)
+async function parseSrs(value) {
+  if (!value) return 4326;
+  const srid = Number(String(value).replace(/^EPSG:/i, ""));
+  if (!Number.isInteger(srid) || srid <= 0) throw httpError(400, `Invalid srs: ${value}`);
+  const { rowCount } = await pool.query("SELECT 1 FROM spatial_ref_sys WHERE srid = $1", [srid]);
+  if (!rowCount) throw httpError(400, `Unknown srs: EPSG:${srid}`);
+  return srid;
+}
+
+function exportSQL(layer, meta, where, srid) {
+  const col = `row.${ident(layer.geom)}`;
+  const g = srid === tableSrid(meta) ? col : `ST_Transform(${col}, ${srid})`;
+  return `
+    SELECT row.${ident(layer.id)} AS id,
+           to_jsonb(row) - ${literal(layer.geom)} AS properties,
+           ST_AsGeoJSON(${g}) AS geometry,
+           ST_AsText(${g}) AS wkt
+    FROM (
+      SELECT ${selectColumns(layer, meta)} FROM ${ident(layer.table)}
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY ${ident(layer.id)}
+    ) row;
+  `;
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return `"${s.replace(/"/g, '""')}"`;
+}
+
+// Write matching features as GeoJSON (srid != 4326 adds a legacy "crs" member)
+async function writeGeoJSON(sql, params, out, srid, stopped) {
+  const crs = srid === 4326 ? "" : `"crs":{"type":"name","properties":{"name":"urn:ogc:def:crs:EPSG::${srid}"}},`;
+  await writeChunk(out, `{"type":"FeatureCollection",${crs}"features":[\n`);
+  let first = true;
+  await eachRowBatch(sql, params, rows => {
+    const chunk = rows.map(r =>
+      `{"type":"Feature","id":${JSON.stringify(r.id)},"geometry":${r.geometry ?? "null"},"properties":${JSON.stringify(r.properties)}}`
+    ).join(",\n");
+    const sep = first ? "" : ",\n";
+    first = false;
+    return writeChunk(out, sep + chunk);
+  }, stopped);
+  await writeChunk(out, "\n]}\n");
+}
+
+async function writeCSV(sql, params, out, columns, stopped) {
+  await writeChunk(out, [...columns, "wkt"].map(csvCell).join(",") + "\n");
+  await eachRowBatch(sql, params, rows => writeChunk(out,
+    rows.map(r => [...columns.map(c => csvCell(r.properties[c])), csvCell(r.wkt)].join(",")).join("\n") + "\n"
+  ), stopped);
+}
+
+// ogr2ogr conversion in a temp dir; resolves to the output file path
+async function convertWithOgr(layer, sql, params, fmt, srid, dir) {
+  const input = path.join(dir, "input.geojson");
+  const output = path.join(dir, `${layer.name}.${fmt.ext}`);
+  const file = fs.createWriteStream(input);
+  await writeGeoJSON(sql, params, file, 4326);
+  await new Promise((resolve, reject) => file.end(err => (err ? reject(err) : resolve())));
+
+  const args = ["-f", fmt.driver, output, input, "-nln", layer.name];
+  if (fmt.driver !== "KML" && srid !== 4326) args.push("-t_srs", `EPSG:${srid}`);
+  await execFileAsync(OGR2OGR, args, { timeout: 5 * 60 * 1000 });
+  return output;
+}
+
+/* ───────────── Statistics ───────────── */
+// Summaries over the rows matching the feature-route filters (?q, ?bbox,
+// ?filter, ?ids). Numbers get min/max/mean + an equal-width histogram, other
+// columns their top-N values. Areas and lengths are geodesic (geography).
+const NUMERIC_TYPES = ["smallint", "integer", "bigint", "numeric", "real", "double precision"];
+const STATS_AGGREGATES = ["sum", "avg", "min", "max"];
+const STATS_MAX_BINS = 50;
+const STATS_MAX_TOP = 50;
+
+// ?agg=sum:floors,avg:height → [{ fn, column }] (columns checked against meta)
+function parseAggregates(value, meta) {
+  if (!value) return [];
+  return String(value).split(",").map(s => s.trim()).filter(Boolean).map(spec => {
+    const [fn, column] = spec.split(":");
+    if (!STATS_AGGREGATES.includes(fn)) throw httpError(400, `Unknown aggregate: ${fn} (use ${STATS_AGGREGATES.join(", ")})`);
+    const col = meta.columns.find(c => c.name === column);
+    if (!col) throw httpError(400, `Unknown column: ${column}`);
+    if (!NUMERIC_TYPES.includes(col.type)) throw httpError(400, `${fn} needs a numeric column: ${column}`);
+    return { fn, column };
+  });
+}
+
+async function layerStats(layer, meta, query, rowFilter = null) {
+  const params = [];
+  const where = layerFilters(layer, meta, query, params, rowFilter);
+  const src = `SELECT * FROM ${ident(layer.table)} row ${where.length ? `WHERE ${where.join(" AND ")}` : ""}`;
+  const bins = Math.min(Math.max(Math.floor(Number(query.bins)) || 10, 1), STATS_MAX_BINS);
+  const top = Math.min(Math.max(Math.floor(Number(query.top)) || 10, 1), STATS_MAX_TOP);
+
+  const wanted = query.columns ? String(query.columns).split(",").map(s => s.trim()) : null;
+  const columns = meta.columns.filter(c => c.name !== layer.id && (!wanted || wanted.includes(c.name)));
+  const numeric = columns.filter(c => NUMERIC_TYPES.includes(c.type));
+  const other = columns.filter(c => !NUMERIC_TYPES.includes(c.type));
+
+  const geog = `${geomSQL(layer, meta)}::geography`;
+  const measures = `COALESCE(SUM(ST_Area(${geog})), 0)::float8 AS area_m2,
+                    COALESCE(SUM(ST_Perimeter(${geog})), 0)::float8 AS perimeter_m,
+                    COALESCE(SUM(ST_Length(${geog})), 0)::float8 AS length_m`;
+
+  // totals + min/max/mean of every numeric column in one pass
+  const { rows: [totals] } = await pool.query(`
+    SELECT COUNT(*)::int AS count, ${measures}
+           ${numeric.map((c, i) => `, jsonb_build_object(
+             'count', COUNT(row.${ident(c.name)}), 'min', MIN(row.${ident(c.name)}),
+             'max', MAX(row.${ident(c.name)}), 'mean', AVG(row.${ident(c.name)})::float8) AS n${i}`).join("")}
+    FROM (${src}) row`, params);
+
+  const result = {
+    layer: layer.name,
+    count: totals.count,
+    area_m2: totals.area_m2,
+    perimeter_m: totals.perimeter_m,
+    length_m: totals.length_m,
+    columns: {},
+    groups: null,
+  };
+
+  await Promise.all([
+    ...numeric.map(async (c, i) => {
+      const summary = totals[`n${i}`];
+      let histogram = [];
+      if (summary.count > 0) {
+        const lo = Number(summary.min);
+        const hi = Number(summary.max);
+        const width = hi > lo ? (hi - lo) / bins : 0;
+        const { rows } = await pool.query(`
+          SELECT ${width ? `LEAST(width_bucket(row.${ident(c.name)}::float8, ${lo}, ${hi}, ${bins}), ${bins})` : "1"} AS bucket,
+                 COUNT(*)::int AS count
+          FROM (${src}) row WHERE row.${ident(c.name)} IS NOT NULL
+          GROUP BY 1 ORDER BY 1`, params);
+        histogram = (width ? Array.from({ length: bins }, (_, b) => b + 1) : [1]).map(b => ({
+          from: lo + (b - 1) * width,
+          to: width ? lo + b * width : hi,
+          count: rows.find(r => r.bucket === b)?.count || 0,
+        }));
+      }
+      result.columns[c.name] = { type: c.type, kind: "number", ...summary, histogram };
+    }),
+    ...other.map(async c => {
+      const { rows } = await pool.query(`
+        SELECT row.${ident(c.name)}::text AS value, COUNT(*)::int AS count,
+               COUNT(*) OVER ()::int AS n_distinct
+        FROM (${src}) row
+        GROUP BY 1 ORDER BY 2 DESC, 1 LIMIT $${params.length + 1}`, [...params, top]);
+      result.columns[c.name] = {
+        type: c.type,
+        kind: "text",
+        distinct: rows[0]?.n_distinct ?? 0,
+        top: rows.map(r => ({ value: r.value, count: r.count })),
+      };
+    }),
+  ]);
+
+  // ?groupBy=use (+ ?agg=sum:floors,avg:height) → one row per value
+  if (query.groupBy) {
+    const by = meta.columns.find(c => c.name === String(query.groupBy));
+    if (!by) throw httpError(400, `Unknown column: ${query.groupBy}`);
+    const aggs = parseAggregates(query.agg, meta);
+    const { rows } = await pool.query(`
+      SELECT row.${ident(by.name)} AS key, COUNT(*)::int AS count, ${measures}
+             ${aggs.map((a, i) => `, ${a.fn.toUpperCase()}(row.${ident(a.column)})::float8 AS a${i}`).join("")}
+      FROM (${src}) row
+      GROUP BY 1 ORDER BY 2 DESC`, params);
+    result.groups = {
+      by: by.name,
+      rows: rows.map(r => ({
+        key: r.key,
+        count: r.count,
+        area_m2: r.area_m2,
+        perimeter_m: r.perimeter_m,
+        length_m: r.length_m,
+        ...Object.fromEntries(aggs.map((a, i) => [`${a.fn}_${a.column}`, r[`a${i}`]])),
+      })),
+    };
+  }
+  return result;
+}
+
+/* ───────────── Layer styles ───────────── */
+// One shared style per layer, so every user sees the same symbology:
+//   { type: "single", color }
+//   { type: "graduated", column, method, breaks: [b0..bn], colors: [n colors] }
+//   { type: "categorical", column, categories: [{ value, color }], otherColor }
+//   { type: "proportional", column, min, max, minRadius, maxRadius, color }
+// Class breaks come from GET /layers/:name/classify so they cover the whole
+// table, not just the features a browser has loaded.
+const STYLE_TYPES = ["single", "graduated", "categorical", "proportional"];
+const CLASSIFY_METHODS = ["quantile", "equal", "jenks", "categories"];
+const CLASSIFY_MAX_CLASSES = 12;
+const JENKS_SAMPLE = Number(process.env.JENKS_SAMPLE || 3000);
+
+function isColor(v) {
+  return typeof v === "string" && /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(v);
+}
+
+// Throws a 400 listing what is wrong with a style definition
+function checkStyle(style, meta) {
+  const problems = [];
+  const column = meta.columns.find(c => c.name === style?.column);
+  if (!STYLE_TYPES.includes(style?.type)) problems.push(`type must be one of: ${STYLE_TYPES.join(", ")}`);
+  else if (style.type === "single") {
+    if (!isColor(style.color)) problems.push("color must be #rgb or #rrggbb");
+  } else {
+    if (!column) problems.push(`unknown column: ${style.column}`);
+    else if (style.type !== "categorical" && !NUMERIC_TYPES.includes(column.type)) {
+      problems.push(`${style.type} needs a numeric column`);
+    }
+  }
+  if (style?.type === "graduated") {
+    const { breaks, colors } = style;
+    if (!Array.isArray(breaks) || breaks.length < 2 || !breaks.every(Number.isFinite)) problems.push("breaks must be 2+ numbers");
+    else if (breaks.some((b, i) => i && b < breaks[i - 1])) problems.push("breaks must be ascending");
+    if (!Array.isArray(colors) || !colors.every(isColor)) problems.push("colors must be a list of #rrggbb");
+    else if (Array.isArray(breaks) && colors.length !== breaks.length - 1) problems.push("need one color per class (breaks - 1)");
+  }
+  if (style?.type === "categorical") {
+    if (!Array.isArray(style.categories) || !style.categories.every(c => c && isColor(c.color))) {
+      problems.push("categories must be [{ value, color }]");
+    }
+    if (style.otherColor !== undefined && !isColor(style.otherColor)) problems.push("otherColor must be #rrggbb");
+  }
+  if (style?.type === "proportional") {
+    if (!["min", "max", "minRadius", "maxRadius"].every(k => Number.isFinite(style[k]))) {
+      problems.push("min, max, minRadius and maxRadius must be numbers");
+    }
+    if (!isColor(style.color)) problems.push("color must be #rgb or #rrggbb");
+  }
+  if (problems.length) throw httpError(400, "Invalid style", problems);
+}
+
+async function getLayerStyle(layer) {
+  const { rows } = await pool.query(
+    `SELECT style, updated_by, updated_at FROM ${ident(STYLES_TABLE)} WHERE layer = $1`,
+    [layer.name]
+  );
+  return rows[0] || null;
+}
+
+// Jenks natural breaks (Fisher's dynamic programming) over sorted values
+function jenksBreaks(values, k) {
+  const n = values.length;
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) { lower[1][j] = 1; variance[1][j] = 0; }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0, sumSq = 0, w = 0, v = 0;
+    for (let m = 1; m <= l; m++) {
+      const i = l - m + 1;
+      const val = values[i - 1];
+      w++; sum += val; sumSq += val * val;
+      v = sumSq - (sum * sum) / w;
+      if (i > 1) {
+        for (let j = 2; j <= k; j++) {
+          if (variance[l][j] >= v + variance[i - 1][j - 1]) {
+            lower[l][j] = i;
+            variance[l][j] = v + variance[i - 1][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const breaks = new Array(k + 1);
+  breaks[0] = values[0];
+  breaks[k] = values[n - 1];
+  for (let j = k, l = n; j >= 2; j--) {
+    const i = lower[l][j] - 1;
+    breaks[j - 1] = values[i - 1];
+    l = i;
+  }
+  return breaks;
+}
+
+// Class breaks (or top categories) for one column, over ?q/?bbox/?filter
+async function classifyColumn(layer, meta, query, rowFilter = null) {
+  const column = meta.columns.find(c => c.name === query.column);
+  if (!column) throw httpError(400, `Unknown column: ${query.column}`);
+  const method = query.method || "quantile";
+  if (!CLASSIFY_METHODS.includes(method)) throw httpError(400, `method must be one of: ${CLASSIFY_METHODS.join(", ")}`);
+  const classes = Math.min(Math.max(Math.floor(Number(query.classes)) || 5, 2), CLASSIFY_MAX_CLASSES);
+
+  const params = [];
+  const where = [...layerFilters(layer, meta, query, params, rowFilter), `${ident(column.name)} IS NOT NULL`];
+  const from = `FROM ${ident(layer.table)} WHERE ${where.join(" AND ")}`;
+  const col = ident(column.name);
+
+  if (method === "categories") {
+    const { rows } = await pool.query(
+      `SELECT ${col}::text AS value, COUNT(*)::int AS count ${from} GROUP BY 1 ORDER BY 2 DESC, 1 LIMIT ${CLASSIFY_MAX_CLASSES}`,
+      params
+    );
+    return { column: column.name, method, categories: rows };
+  }
+  if (!NUMERIC_TYPES.includes(column.type)) throw httpError(400, `${method} needs a numeric column`);
+
+  let breaks;
+  if (method === "equal") {
+    const { rows: [r] } = await pool.query(`SELECT MIN(${col})::float8 AS lo, MAX(${col})::float8 AS hi ${from}`, params);
+    if (r.lo === null) return { column: column.name, method, breaks: [] };
+    breaks = Array.from({ length: classes + 1 }, (_, i) => r.lo + ((r.hi - r.lo) * i) / classes);
+  } else if (method === "quantile") {
+    const fractions = Array.from({ length: classes + 1 }, (_, i) => i / classes);
+    params.push(fractions);
+    const { rows: [r] } = await pool.query(
+      `SELECT percentile_cont($${params.length}::float8[]) WITHIN GROUP (ORDER BY ${col}::float8) AS breaks ${from}`,
+      params
+    );
+    breaks = r.breaks || [];
+  } else {
+    const { rows } = await pool.query(
+      `SELECT v FROM (SELECT ${col}::float8 AS v ${from} ORDER BY random() LIMIT ${JENKS_SAMPLE}) s ORDER BY v`,
+      params
+    );
+    const values = rows.map(r => r.v);
+    if (!values.length) return { column: column.name, method, breaks: [] };
+    breaks = jenksBreaks(values, Math.min(classes, values.length));
+  }
+  // identical neighbours (skewed data) collapse into one class
+  return { column: column.name, method, breaks: breaks.filter((b, i) => i === 0 || b > breaks[i - 1]) };
+}
+
+/* ───────────── Import ───────────── */
+// Features parsed in the browser (Shapefile, KML, GPX, CSV, GeoJSON; always
+// EPSG:4326) are loaded into an existing editable layer or a new table.
+// Every geometry is checked first; invalid ones are skipped, or repaired with
+// ST_MakeValid when fixInvalid is set, and listed in the report.
+const IMPORT_SCHEMA = process.env.IMPORT_SCHEMA || "public";
+const IMPORT_LIMIT = process.env.IMPORT_LIMIT || "100mb";
+
+// lower_snake_case identifier that needs no quoting
+function safeName(name) {
+  const s = String(name).toLowerCase().replace(/[^a-z0-9_]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 63);
+  return /^[a-z]/.test(s) ? s : `f_${s}`;
+}
+
+// SQL type for a new column from the imported values
+function inferColumnType(values) {
+  const present = values.filter(v => v !== null && v !== undefined && v !== "");
+  if (present.length && present.every(v => typeof v === "boolean")) return "boolean";
+  if (present.length && present.every(v => Number.isInteger(v))) return "bigint";
+  if (present.length && present.every(v => Number.isFinite(v))) return "double precision";
+  return "text";
+}
+
+// [index, reason] for each invalid geometry. One query for the whole batch;
+// if a geometry can't even be parsed, fall back to one query per feature.
+async function validateImport(geoms) {
+  const check = `SELECT ST_IsValid(g) AS valid, ST_IsValidReason(g) AS reason
+                 FROM (SELECT ST_GeomFromGeoJSON(geom::text) AS g) s`;
+  try {
+    const { rows } = await pool.query(
+      `SELECT (t.ord - 1)::int AS idx, c.valid, c.reason
+       FROM jsonb_array_elements($1::jsonb) WITH ORDINALITY AS t(geom, ord),
+       LATERAL (${check}) c
+       WHERE NOT c.valid`,
+      [JSON.stringify(geoms)]
+    );
+    return rows.map(r => [r.idx, r.reason]);
+  } catch {
+    const bad = [];
+    for (let i = 0; i < geoms.length; i++) {
+      try {
+        const { rows } = await pool.query(`SELECT c.* FROM (SELECT $1::jsonb AS geom) t, LATERAL (${check}) c`, [JSON.stringify(geoms[i])]);
+        if (!rows[0].valid) bad.push([i, rows[0].reason]);
+      } catch (err) {
+        bad.push([i, dataErrorMessage(err)]);
+      }
+    }
+    return bad;
+  }
+}
+
+// New table holding `features` (an import, or a saved /process result).
+// CREATE TABLE and the INSERT share one transaction, and the layer is only
+// registered (and written to LAYERS_FILE) after the commit, so a failed
+// import leaves neither a table nor a layer behind.
+async function createImportTable(name, title, features, { fix = false, ...extra } = {}) {
+  const table = `${IMPORT_SCHEMA}.${safeName(name)}`;
+  if ([...layers.values()].some(l => l.name === safeName(name))) {
+    throw httpError(409, `Layer ${safeName(name)} already exists; import into it instead`);
+  }
+
+  const keys = [...new Set(features.flatMap(f => Object.keys(f.properties || {})))];
+  const columns = [];
+  for (const key of keys) {
+    let col = safeName(key);
+    if (["id", "geom"].includes(col)) col = `${col}_src`;
+    while (columns.some(c => c.column === col)) col += "_";
+    columns.push({ key, column: col, type: inferColumnType(features.map(f => f.properties?.[key])) });
+  }
+
+  const cfg = { name: safeName(name), title: title || name, table, geom: "geom", id: "id", label: null, editable: true, ...extra };
+  const label = columns.find(c => /^(name|nama|label|title)$/.test(c.column));
+  if (label) cfg.label = label.column;
+
+  // the catalog can't see the uncommitted table: its meta is known anyway
+  const meta = {
+    srid: 4326,
+    geometryType: "GEOMETRY",
+    columns: [{ name: "id", type: "bigint" }, ...columns.map(c => ({ name: c.column, type: c.type }))],
+  };
+  const inserted = await withTransaction(async client => {
+    await client.query(`
+      CREATE TABLE ${ident(table)} (
+        id bigserial PRIMARY KEY,
+        ${columns.map(c => `${ident(c.column)} ${c.type},`).join("\n        ")}
+        geom geometry(Geometry, 4326)
+      );
+      CREATE INDEX ON ${ident(table)} USING GIST (geom);
+    `).catch(err => {
+      throw err.code === "42P07" ? httpError(409, `Table ${table} already exists`) : err;
+    });
+    return insertImported(cfg, meta, columns, features, fix, client);
+  });
+
+  const layer = registerLayer(cfg);
+  persistLayerConfig(cfg);
+  await installChangeTrigger(layer).catch(err => log.error("Change trigger failed", { table: layer.table, error: err.message }));
+  await installSearchIndexes(layer).catch(err => log.error("Search indexes failed", { table: layer.table, error: err.message }));
+  return { layer, mapping: columns, inserted };
+}
+
+// Imported property keys → existing columns (exact, then case-insensitive)
+function mapImportColumns(layer, meta, features) {
+  const keys = [...new Set(features.flatMap(f => Object.keys(f.properties || {})))];
+  const mapping = [];
+  const ignored = [];
+  for (const key of keys) {
+    const col = meta.columns.find(c => c.name === key) ||
+      meta.columns.find(c => c.name.toLowerCase() === key.toLowerCase());
+    if (col && col.name !== layer.id && col.type !== "ARRAY") mapping.push({ key, column: col.name, type: col.type });
+    else ignored.push(key);
+  }
+  return { mapping, ignored };
+}
+
+// Geometry expression for imported GeoJSON in the table's SRID and type
+function importGeomSQL(meta, source, fix) {
+  let g = `ST_SetSRID(ST_GeomFromGeoJSON(${source}), 4326)`;
+  if (fix) {
+    g = `ST_MakeValid(${g})`;
+    const t = meta.geometryType;
+    if (t.includes("POLYGON")) g = `ST_CollectionExtract(${g}, 3)`;
+    else if (t.includes("LINE")) g = `ST_CollectionExtract(${g}, 2)`;
+    else if (t.includes("POINT")) g = `ST_CollectionExtract(${g}, 1)`;
+  }
+  if (tableSrid(meta) !== 4326) g = `ST_Transform(${g}, ${tableSrid(meta)})`;
+  if (meta.geometryType.startsWith("MULTI")) g = `ST_Multi(${g})`;
+  return g;
+}
+
+// INSERT the features in one statement; resolves to the inserted row count
+async function insertImported(layer, meta, mapping, rows, fix, db = pool) {
+  if (!rows.length) return 0;
+  const cols = [...mapping.map(m => ident(m.column)), ident(layer.geom)];
+  const vals = [
+    ...mapping.map(m => `NULLIF(f->'properties'->>${literal(m.key)}, '')::${m.type}`),
+    importGeomSQL(meta, "f->>'geometry'", fix),
+  ];
+  const result = await db.query(
+    `INSERT INTO ${ident(layer.table)} (${cols.join(", ")})
+     SELECT ${vals.join(", ")} FROM jsonb_array_elements($1::jsonb) AS f`,
+    [JSON.stringify(rows)]
+  ).catch(err => { throw httpError(422, `Import failed: ${dataErrorMessage(err)}`); });
+  return result.rowCount;
+}
+
+/* ───────────── Geoprocessing ───────────── */
+// Runs in PostGIS on EPSG:4326 geometries. Input is a layer (+ ids / filter /
+// bbox / q, like the feature routes) or inline GeoJSON features, so pages
+// working on local files can use it too. Invalid inputs are repaired with
+// ST_MakeValid first; distances are metres (geography).
+const PROCESS_OPS = ["union", "buffer", "dissolve", "clip", "difference"];
+const PROCESS_MAX_BUFFER = Number(process.env.PROCESS_MAX_BUFFER || 100000); // metres
+
+// SELECT of (props jsonb, g geometry(4326)) rows for { layer, ids?, filter?, bbox?, q? }
+// or { features: [...] }, limited to what the user may read. Appends to params.
+async function processSource(input, params, user, what = "input") {
+  const p = v => (params.push(v), `$${params.length}`);
+  const valid = g => `CASE WHEN ST_IsValid(${g}) THEN ${g} ELSE ST_MakeValid(${g}) END`;
+
+  if (input?.features) {
+    const features = Array.isArray(input.features) ? input.features : input.features.features || [];
+    if (!features.length) throw httpError(400, `No features in ${what}`);
+    const g = "ST_SetSRID(ST_GeomFromGeoJSON(f->>'geometry'), 4326)";
+    return {
+      sql: `SELECT COALESCE(f->'properties', '{}'::jsonb) AS props, ${valid(g)} AS g
+            FROM jsonb_array_elements(${p(JSON.stringify(features))}::jsonb) AS f`,
+      columns: null,
+    };
+  }
+
+  if (!input?.layer) throw httpError(400, `${what} needs a layer or features`);
+  const layer = layers.get(input.layer);
+  const access = layer && layerAccess(user, layer);
+  if (!access) throw httpError(404, `Unknown layer: ${input.layer}`);
+  const meta = await getLayerMeta(layer);
+  const where = layerFilters(layer, meta, input, params, access.filter);
+  if (!where.length) throw httpError(400, `${what} needs ids, filter, bbox or q (refusing to process a whole layer)`);
+  return {
+    sql: `SELECT to_jsonb(row) - ${literal(layer.geom)} AS props, ${valid(geomSQL(layer, meta))} AS g
+          FROM (SELECT ${selectColumns(layer, meta)} FROM ${ident(layer.table)} WHERE ${where.join(" AND ")}) row`,
+    columns: meta.columns.map(c => c.name),
+  };
+}
+
+// SQL returning (props, g) result rows for one operation
+async function processSQL(body, params, user) {
+  const p = v => (params.push(v), `$${params.length}`);
+  const op = body.op;
+  if (!PROCESS_OPS.includes(op)) throw httpError(400, `op must be one of: ${PROCESS_OPS.join(", ")}`);
+  const src = await processSource(body.input, params, user);
+
+  switch (op) {
+    case "union":
+      return `WITH src AS (${src.sql})
+        SELECT jsonb_build_object('count', count(*)) AS props, ST_Union(g) AS g FROM src`;
+
+    case "dissolve": {
+      if (!body.by) throw httpError(400, "dissolve needs a 'by' attribute");
+      if (src.columns && !src.columns.includes(body.by)) throw httpError(400, `Unknown column: ${body.by}`);
+      const key = p(String(body.by));
+      return `WITH src AS (${src.sql})
+        SELECT jsonb_build_object(${key}::text, props->(${key}::text), 'count', count(*)) AS props, ST_Union(g) AS g
+        FROM src GROUP BY props->(${key}::text)`;
+    }
+
+    case "buffer": {
+      const distance = Number(body.distance);
+      if (!Number.isFinite(distance) || Math.abs(distance) > PROCESS_MAX_BUFFER) {
+        throw httpError(400, `distance must be a number of metres up to ${PROCESS_MAX_BUFFER}`);
+      }
+      const buffered = `ST_Buffer(g::geography, ${p(distance)})::geometry`;
+      return body.dissolve
+        ? `WITH src AS (${src.sql}) SELECT jsonb_build_object('count', count(*)) AS props, ST_Union(${buffered}) AS g FROM src`
+        : `WITH src AS (${src.sql}) SELECT props, ${buffered} AS g FROM src`;
+    }
+
+    case "clip":
+    case "difference": {
+      // mask: a GeoJSON geometry, or { layer, ids?, filter? } / { features } unioned into one
+      let maskSQL;
+      if (body.mask?.type && GEOMETRY_TYPES.includes(body.mask.type)) {
+        maskSQL = `SELECT ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(${p(JSON.stringify(body.mask))}), 4326)) AS g`;
+      } else if (body.mask) {
+        maskSQL = `SELECT ST_Union(g) AS g FROM (${(await processSource(body.mask, params, user, "mask")).sql}) m`;
+      } else throw httpError(400, `${op} needs a mask geometry or mask layer`);
+
+      return op === "clip"
+        ? `WITH src AS (${src.sql}), mask AS (${maskSQL})
+           SELECT props, ST_Intersection(src.g, mask.g) AS g FROM src, mask WHERE ST_Intersects(src.g, mask.g)`
+        : `WITH src AS (${src.sql}), mask AS (${maskSQL})
+           SELECT props, CASE WHEN mask.g IS NULL THEN src.g ELSE ST_Difference(src.g, mask.g) END AS g FROM src, mask`;
+    }
+  }
+}
+
+/* ───────────── Saved views ───────────── */
+// A view is a map state the frontend can restore: { center: [lat, lng], zoom,
+// layer, renderMode, filter, selected: [ids], style }. Views are private to
+// their owner unless shared; admins see and manage all of them.
+const VIEW_MAX_BYTES = 256 * 1024;
+const VIEW_MAX_SELECTED = 10000;
+
+function checkView(body, { partial = false } = {}) {
+  const problems = [];
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim() || body.name.length > 200) problems.push("name must be 1-200 characters");
+  }
+  if (body.shared !== undefined && typeof body.shared !== "boolean") problems.push("shared must be true or false");
+  if (!partial || body.state !== undefined) {
+    const st = body.state;
+    if (!st || typeof st !== "object" || Array.isArray(st)) problems.push("state must be an object");
+    else {
+      if (st.center !== undefined && !(Array.isArray(st.center) && st.center.length === 2 && st.center.every(Number.isFinite))) {
+        problems.push("state.center must be [lat, lng]");
+      }
+      if (st.zoom !== undefined && !Number.isFinite(st.zoom)) problems.push("state.zoom must be a number");
+      if (st.layer !== undefined && !layers.has(st.layer)) problems.push(`unknown layer: ${st.layer}`);
+      if (st.selected !== undefined && !(Array.isArray(st.selected) && st.selected.length <= VIEW_MAX_SELECTED)) {
+        problems.push(`state.selected must be a list of at most ${VIEW_MAX_SELECTED} ids`);
+      }
+      if (JSON.stringify(st).length > VIEW_MAX_BYTES) problems.push(`state is larger than ${VIEW_MAX_BYTES} bytes`);
+    }
+  }
+  if (problems.length) throw httpError(400, "Invalid view", problems);
+}
+
+const VIEW_COLUMNS = `id, name, owner, shared, state, created_at AS "createdAt", updated_at AS "updatedAt"`;
+
+// A view the user may read (own, shared or admin), or a 404
+async function getView(req, id) {
+  const { rows } = await pool.query(`SELECT ${VIEW_COLUMNS} FROM ${ident(VIEWS_TABLE)} WHERE id = $1`, [id]);
+  const view = rows[0];
+  if (!view || !(view.shared || view.owner === req.user.name || hasRole(req, "admin"))) {
+    throw httpError(404, "View not found");
+  }
+  return view;
+}
+
+function requireViewOwner(req, view) {
+  if (view.owner !== req.user.name && !hasRole(req, "admin")) throw httpError(403, "Only the owner can change this view");
+}
+
+/* ───────────── Search ───────────── */
+// One text "document" per row: the layer's search columns joined by spaces.
+// ensureSchema indexes it twice — a GIN tsvector index for words / prefixes
+// and a pg_trgm GIN index for typos and substrings (also used by ?q). The
+// query must repeat the indexed expression exactly, hence searchDocSQL().
+const SEARCH_CONFIG = process.env.SEARCH_CONFIG || "simple"; // text search configuration
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_MIN_LENGTH = 2;
+let searchTrigram = false; // pg_trgm installed (ensureSchema)
+
+function searchColumns(layer) {
+  return layer.search || (layer.label ? [layer.label] : []);
+}
+
+function searchDocSQL(layer, alias = null) {
+  const col = c => (alias ? `${alias}.${ident(c)}` : ident(c));
+  return searchColumns(layer).map(c => `coalesce(${col(c)}::text, '')`).join(` || ' ' || `);
+}
+
+function searchVectorSQL(layer, alias = null) {
+  return `to_tsvector(${literal(SEARCH_CONFIG)}::regconfig, ${searchDocSQL(layer, alias)})`;
+}
+
+// Index names end in a hash of the indexed expression, so changed search
+// columns (or SEARCH_CONFIG) get a new index and the table's other search
+// indexes are dropped. One transaction per table behind an advisory lock:
+// instances starting together don't race each other.
+async function installSearchIndexes(layer) {
+  if (!searchColumns(layer).length) return;
+  const [schema, table] = splitTable(layer.table);
+  const prefix = `${table.slice(0, 40)}_search_`;
+  const hash = expr => crypto.createHash("md5").update(expr).digest("hex").slice(0, 8);
+  const fts = `(${searchVectorSQL(layer)})`;
+  const trgm = `(${searchDocSQL(layer)}) gin_trgm_ops`;
+  const wanted = [[`${prefix}fts_${hash(fts)}`, fts]];
+  if (searchTrigram) wanted.push([`${prefix}trgm_${hash(trgm)}`, trgm]);
+
+  await withTransaction(async client => {
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`search:${layer.table}`]);
+    const { rows } = await client.query(
+      `SELECT indexname FROM pg_indexes WHERE schemaname = $1 AND tablename = $2 AND left(indexname, $3) = $4`,
+      [schema, table, prefix.length, prefix]
+    );
+    for (const { indexname } of rows) {
+      if (!wanted.some(([name]) => name === indexname)) await client.query(`DROP INDEX ${ident(`${schema}.${indexname}`)}`);
+    }
+    for (const [name, expr] of wanted) {
+      await client.query(`CREATE INDEX IF NOT EXISTS ${ident(name)} ON ${ident(layer.table)} USING GIN (${expr})`);
+    }
+  });
+}
+
+// "main str" → 'main:* & str:*' (prefix match on every word, for autocomplete)
+function prefixQuery(text) {
+  const words = text.split(/\s+/).map(w => w.replace(/[^\p{L}\p{N}_]/gu, "")).filter(Boolean);
+  return words.length ? words.map(w => `${w}:*`).join(" & ") : null;
+}
+
+// Best matches of one layer: words first (ts_rank), typo-tolerant trigram
+// similarity as the fallback and tie-breaker. bbox is EPSG:4326.
+async function searchLayer(layer, access, text, limit) {
+  const meta = await getLayerMeta(layer);
+  const cols = new Set(meta.columns.map(c => c.name));
+  if (!searchColumns(layer).every(c => cols.has(c))) return [];
+
+  const params = [text];
+  const where = layerFilters(layer, meta, {}, params, access.filter);
+  const tsq = prefixQuery(text);
+  const doc = searchDocSQL(layer, "row");
+  const vector = searchVectorSQL(layer, "row");
+  const query = tsq ? `to_tsquery(${literal(SEARCH_CONFIG)}::regconfig, $${params.push(tsq)})` : null;
+  const match = [
+    query && `${vector} @@ ${query}`,
+    searchTrigram ? `$1 <% (${doc})` : `(${doc}) ILIKE '%' || $1 || '%'`,
+  ].filter(Boolean);
+  const rank = [
+    query ? `ts_rank(${vector}, ${query})` : "0",
+    searchTrigram ? `word_similarity($1, ${doc})` : "0",
+  ].join(" + ");
+  const box = `box2d(${geomSQL(layer, meta)})`;
+
+  const { rows } = await pool.query(
+    `SELECT row.${ident(layer.id)}::text AS id,
+            ${layer.label ? `row.${ident(layer.label)}::text` : `row.${ident(layer.id)}::text`} AS label,
+            ${rank} AS rank,
+            ARRAY[ST_XMin(${box}), ST_YMin(${box}), ST_XMax(${box}), ST_YMax(${box})] AS bbox
+     FROM ${ident(layer.table)} row
+     WHERE (${match.join(" OR ")})${where.length ? ` AND ${where.join(" AND ")}` : ""}
+     ORDER BY rank DESC, row.${ident(layer.id)}
+     LIMIT $${params.push(limit)}`,
+    params
+  );
+  return rows.map(r => ({ layer: layer.name, layerTitle: layer.title, ...r }));
+}
+
+/* ───────────── Reports ───────────── */
+// The print layout of the frontend, rendered on the server: map frame, legend,
+// scale bar, north arrow and the attribute table of the chosen features. The
+// map is an SVG of the features themselves (Web Mercator, no basemap), so it
+// needs no browser state. PDF comes from headless Chrome/Chromium (CHROME),
+// run like ogr2ogr on a temporary HTML file.
+const CHROME = process.env.CHROME || "chromium";
+const PAPER_SIZES = { A4: [210, 297], A3: [297, 420] }; // mm, portrait
+const REPORT_MARGIN = 10;           // mm
+const REPORT_MAX_FEATURES = 5000;   // drawn in the map frame
+const REPORT_MAX_ROWS = 1000;       // rows in the attribute table
+const EARTH_RADIUS = 6378137;       // Web Mercator sphere
+
+function reportLayout(query) {
+  const paper = String(query.paper || "A4").toUpperCase();
+  if (!PAPER_SIZES[paper]) throw httpError(400, `Unknown paper: ${paper} (use ${Object.keys(PAPER_SIZES).join(", ")})`);
+  const orientation = String(query.orientation || "landscape").toLowerCase();
+  if (!["portrait", "landscape"].includes(orientation)) throw httpError(400, "orientation must be portrait or landscape");
+  const [w, h] = orientation === "portrait" ? PAPER_SIZES[paper] : [...PAPER_SIZES[paper]].reverse();
+  const scale = query.scale ? Number(query.scale) : null;
+  if (scale !== null && !(Number.isFinite(scale) && scale >= 100 && scale <= 50000000)) {
+    throw httpError(400, "scale must be a number between 100 and 50000000 (1:scale)");
+  }
+  const mapW = w - 2 * REPORT_MARGIN;
+  return { paper, orientation, pageW: w, pageH: h, mapW, mapH: Math.round((h - 2 * REPORT_MARGIN) * 0.6), scale };
+}
+
+function mercatorToLonLat(x, y) {
+  return [(x / EARTH_RADIUS) * 180 / Math.PI, (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * 180 / Math.PI];
+}
+
+function lonLatToMercator(lon, lat) {
+  return [EARTH_RADIUS * lon * Math.PI / 180, EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360))];
+}
+
+// Map frame extent in EPSG:3857 + the true scale at its centre. A fixed
+// ?scale= keeps the centre and sizes the extent to the frame; otherwise the
+// extent is fitted (5% padding) around `fit`, or taken from a view's centre/zoom.
+function reportExtent(layout, { fit, center, zoom }) {
+  const ratio = layout.mapH / layout.mapW;
+  let cx, cy, width;
+  if (fit) {
+    [cx, cy] = [(fit[0] + fit[2]) / 2, (fit[1] + fit[3]) / 2];
+    width = Math.max(fit[2] - fit[0], (fit[3] - fit[1]) / ratio, 50) * 1.1;
+  } else {
+    [cx, cy] = lonLatToMercator(center[1], center[0]);
+    width = (156543.03392 / 2 ** zoom) * (layout.mapW / 25.4 * 96); // Leaflet zoom at 96 dpi
+  }
+  const cosLat = Math.cos(mercatorToLonLat(cx, cy)[1] * Math.PI / 180);
+  if (layout.scale) width = (layout.mapW / 1000) * layout.scale / cosLat;
+  const height = width * ratio;
+  return {
+    box: [cx - width / 2, cy - height / 2, cx + width / 2, cy + height / 2],
+    scale: Math.round(width * cosLat / (layout.mapW / 1000)),
+    groundWidth: width * cosLat, // metres across the frame
+  };
+}
+
+// What to print: ?view=<id> (layer, filter, time, selection, centre/zoom of a
+// saved view) or ?layer=&ids= (plus optional ?filter / ?datetime for context)
+async function reportSource(req, res) {
+  if (req.query.view) {
+    const view = await getView(req, String(req.query.view));
+    const state = view.state || {};
+    const layer = getLayer(req, res, "viewer", state.layer);
+    if (!layer) return null;
+    return {
+      layer, title: req.query.title || view.name,
+      ids: (state.selected || []).map(String), filter: state.filter || null, datetime: state.datetime || null,
+      center: state.center, zoom: state.zoom,
+    };
+  }
+  const layer = getLayer(req, res, "viewer", String(req.query.layer || ""));
+  if (!layer) return null;
+  const ids = String(req.query.ids || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!ids.length) throw httpError(400, "Give ?view=<id> or ?layer= with ?ids=");
+  return { layer, title: req.query.title || layer.title, ids, filter: req.query.filter || null, datetime: req.query.datetime || null };
+}
+
+async function buildReport(source, layout, rowFilter, user) {
+  const { layer } = source;
+  const meta = await getLayerMeta(layer);
+  const merc = `ST_Transform(ST_SetSRID(${geomSQL(layer, meta)}, 4326), 3857)`;
+
+  // selected features: table rows + the extent to fit
+  const selParams = [];
+  const selWhere = layerFilters(layer, meta, { ids: source.ids.join(",") }, selParams, rowFilter);
+  const selected = source.ids.length
+    ? await queryFeatures(layer, meta, { where: selWhere, params: selParams, limit: REPORT_MAX_ROWS })
+    : [];
+  let fit = null;
+  if (selected.length) {
+    const { rows } = await pool.query(
+      `SELECT ST_XMin(e) AS x0, ST_YMin(e) AS y0, ST_XMax(e) AS x1, ST_YMax(e) AS y1
+       FROM (SELECT ST_Extent(${merc}) AS e FROM ${ident(layer.table)} row WHERE ${selWhere.join(" AND ")}) s`,
+      selParams
+    );
+    fit = [rows[0].x0, rows[0].y0, rows[0].x1, rows[0].y1];
+  }
+  if (!fit && !source.center) throw httpError(400, "Nothing to print: no selected features and no map position");
+  const ext = reportExtent(layout, { fit, center: source.center, zoom: source.zoom ?? 15 });
+
+  // every feature in the frame, as SVG paths (points become small circles)
+  const [x0, y0, x1, y1] = ext.box;
+  const params = [];
+  const where = layerFilters(layer, meta, {
+    bbox: [...mercatorToLonLat(x0, y0), ...mercatorToLonLat(x1, y1)].join(","),
+    filter: source.filter, datetime: source.datetime,
+  }, params, rowFilter);
+  params.push((x1 - x0) / 300);
+  const { rows: shapes } = await pool.query(
+    `SELECT row.${ident(layer.id)}::text AS id,
+            ST_AsSVG(CASE WHEN ST_Dimension(g) = 0 THEN ST_Buffer(g, $${params.length}) ELSE g END, 0, 1) AS path
+     FROM (SELECT *, ${merc} AS g FROM ${ident(layer.table)} row
+           ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+           ORDER BY ${ident(layer.id)} LIMIT ${REPORT_MAX_FEATURES}) row`,
+    params
+  );
+  return reportHtml({ source, layout, ext, meta, selected, shapes, user });
+}
+
+// Round scale-bar length: the largest 1/2/5 × 10^n that fits a quarter of the frame
+function scaleBarLength(groundWidth) {
+  const max = groundWidth / 4;
+  const pow = 10 ** Math.floor(Math.log10(max));
+  return [5, 2, 1].map(m => m * pow).find(v => v <= max) || pow;
+}
+
+function reportHtml({ source, layout, ext, meta, selected, shapes, user }) {
+  const [x0, y0, x1, y1] = ext.box;
+  const ids = new Set(selected.map(f => String(f.id)));
+  const paths = shapes.map(s =>
+    `<path d="${escapeHtml(s.path)}" class="${ids.has(s.id) ? "sel" : "ctx"}"/>`).join("");
+  const bar = scaleBarLength(ext.groundWidth);
+  const barMm = bar / ext.groundWidth * layout.mapW;
+  const cols = meta.columns.map(c => c.name);
+  const table = selected.length ? `
+    <table>
+      <thead><tr><th>id</th>${cols.filter(c => c !== source.layer.id).map(c => `<th>${escapeHtml(c)}</th>`).join("")}</tr></thead>
+      <tbody>${selected.map(f => `<tr><td>${escapeHtml(f.id)}</td>${cols.filter(c => c !== source.layer.id)
+        .map(c => `<td>${escapeHtml(f.properties?.[c] ?? "")}</td>`).join("")}</tr>`).join("")}</tbody>
+    </table>` : "";
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(source.title)}</title>
+<style>
+  @page { size: ${layout.paper} ${layout.orientation}; margin: ${REPORT_MARGIN}mm; }
+  body { font: 10pt system-ui, sans-serif; margin: 0; }
+  h1 { font-size: 14pt; margin: 0 0 2mm; }
+  .meta { color: #555; margin-bottom: 3mm; }
+  .frame { position: relative; width: ${layout.mapW}mm; height: ${layout.mapH}mm; border: 0.3mm solid #333; box-sizing: border-box; }
+  .frame svg.map { width: 100%; height: 100%; }
+  .ctx { fill: rgba(51,136,255,.2); stroke: #3388ff; stroke-width: 1; vector-effect: non-scaling-stroke; }
+  .sel { fill: rgba(255,120,0,.35); stroke: #ff7800; stroke-width: 2; vector-effect: non-scaling-stroke; }
+  .north { position: absolute; top: 3mm; right: 3mm; width: 10mm; text-align: center; font-weight: bold; }
+  .legend { position: absolute; bottom: 3mm; right: 3mm; background: #fff; padding: 1.5mm 2mm; border: 0.2mm solid #999; }
+  .legend i { display: inline-block; width: 4mm; height: 3mm; margin-right: 1.5mm; vertical-align: middle; }
+  .legend i.ctx { background: rgba(51,136,255,.2); border: 0.3mm solid #3388ff; }
+  .legend i.sel { background: rgba(255,120,0,.35); border: 0.5mm solid #ff7800; }
+  .scalebar { position: absolute; bottom: 3mm; left: 3mm; background: #fff; padding: 1mm 2mm; }
+  .scalebar div { height: 1.5mm; border: 0.3mm solid #000; border-top: 0; }
+  table { border-collapse: collapse; width: 100%; margin-top: 4mm; font-size: 8pt; }
+  th, td { border: 0.2mm solid #bbb; padding: 0.8mm 1.5mm; text-align: left; }
+  thead { display: table-header-group; }
+  tr { page-break-inside: avoid; }
+</style></head>
+<body>
+  <h1>${escapeHtml(source.title)}</h1>
+  <div class="meta">${escapeHtml(source.layer.title)} · 1:${ext.scale.toLocaleString("en")} ·
+    ${new Date().toISOString().slice(0, 16).replace("T", " ")} UTC · ${escapeHtml(user?.name || "anonymous")}</div>
+  <div class="frame">
+    <svg class="map" viewBox="${x0} ${-y1} ${x1 - x0} ${y1 - y0}" preserveAspectRatio="xMidYMid meet">${paths}</svg>
+    <svg class="north" viewBox="0 0 20 30"><path d="M10 0 L18 24 L10 18 L2 24 Z"/><text x="10" y="30" text-anchor="middle" font-size="8">N</text></svg>
+    <div class="legend">
+      <div><i class="sel"></i>Selected (${selected.length})</div>
+      <div><i class="ctx"></i>${escapeHtml(source.layer.title)}</div>
+    </div>
+    <div class="scalebar"><div style="width:${barMm.toFixed(1)}mm"></div>${bar >= 1000 ? `${bar / 1000} km` : `${bar} m`}</div>
+  </div>
+  ${table}
+</body></html>`;
+}
+
+// headless Chrome prints the HTML; resolves to the PDF bytes
+async function renderPdf(html, dir) {
+  const input = path.join(dir, "report.html");
+  const output = path.join(dir, "report.pdf");
+  await fs.promises.writeFile(input, html);
+  await execFileAsync(CHROME, [
+    "--headless", "--disable-gpu", "--no-sandbox", "--no-pdf-header-footer",
+    `--print-to-pdf=${output}`, `file://${input}`,
+  ], { timeout: 2 * 60 * 1000 });
+  return fs.promises.readFile(output);
+}
+
+/* ───────────── Quality checks ───────────── */
+// Geometry and topology problems of one layer, restricted by the usual
+// ?bbox / ?filter / ?ids (large layers: check one area at a time). Every issue
+// has the feature ids, a point location and the problem area in EPSG:4326,
+// plus a suggested fix: SQL to run and the repaired geometry to preview.
+// Overlaps, gaps, duplicates and containment only look at valid geometries.
+const QA_CHECKS = ["invalid", "overlaps", "gaps", "duplicates", "containment"];
+const QA_BLOCKS_TABLE = process.env.QA_BLOCKS_TABLE || "public.blocks"; // what buildings must lie in
+const QA_MAX_ISSUES = 500;       // per check
+const QA_MIN_AREA = 0.01;        // m²; smaller overlaps / overhangs are noise
+const QA_MAX_GAP = 10;           // m²; larger holes are courtyards, not gaps
+
+function qaOptions(query) {
+  const checks = query.checks ? String(query.checks).split(",").map(s => s.trim()) : QA_CHECKS;
+  const unknown = checks.filter(c => !QA_CHECKS.includes(c));
+  if (unknown.length) throw httpError(400, `Unknown checks: ${unknown.join(", ")} (use ${QA_CHECKS.join(", ")})`);
+  const num = (name, def) => {
+    if (query[name] === undefined) return def;
+    const v = Number(query[name]);
+    if (!Number.isFinite(v) || v < 0) throw httpError(400, `${name} must be a non-negative number`);
+    return v;
+  };
+  return { checks, minArea: num("min_area", QA_MIN_AREA), maxGap: num("max_gap", QA_MAX_GAP) };
+}
+
+// SQL snippets shared by the checks: g is in the table SRID
+function qaSQL(layer, meta) {
+  const srid = tableSrid(meta);
+  const wgs = g => (srid === 4326 ? g : `ST_Transform(${g}, 4326)`);
+  return {
+    srid,
+    wgs,
+    json: g => `ST_AsGeoJSON(${wgs(g)}, 7)::jsonb`,
+    area: g => `ST_Area(geography(ST_SetSRID(${wgs(g)}, 4326)))`,
+    lonlat: g => `ARRAY[ST_X(${wgs(`ST_PointOnSurface(${g})`)}), ST_Y(${wgs(`ST_PointOnSurface(${g})`)})]`,
+    byId: id => `${ident(layer.id)}::text = ${literal(id)}`,
+    table: ident(layer.table),
+    geom: ident(layer.geom),
+  };
+}
+
+async function qaInvalid(layer, meta, base, params) {
+  const q = qaSQL(layer, meta);
+  const { rows } = await pool.query(`${base}
+    SELECT id, ST_IsValidReason(g) AS reason,
+           ARRAY[ST_X(${q.wgs("loc")}), ST_Y(${q.wgs("loc")})] AS location,
+           ${q.json("g")} AS geometry, ${q.json("ST_MakeValid(g)")} AS fixed
+    FROM (SELECT id, g, coalesce((ST_IsValidDetail(g)).location, ST_Centroid(ST_Envelope(g))) AS loc
+          FROM base WHERE NOT ST_IsValid(g)) s
+    ORDER BY id LIMIT ${QA_MAX_ISSUES}`, params);
+  return rows.map(r => ({
+    type: "invalid", ids: [r.id], message: r.reason, location: r.location, geometry: r.geometry,
+    fix: {
+      description: "Repair with ST_MakeValid",
+      sql: `UPDATE ${q.table} SET ${q.geom} = ST_MakeValid(${q.geom}) WHERE ${q.byId(r.id)};`,
+      geometry: r.fixed,
+    },
+  }));
+}
+
+// Pairs whose interiors share an area (DE-9IM 2********); the smaller one is cut back
+async function qaOverlaps(layer, meta, base, params, { minArea }) {
+  const q = qaSQL(layer, meta);
+  params.push(minArea);
+  const { rows } = await pool.query(`${base}, valid AS (SELECT * FROM base WHERE ST_IsValid(g))
+    SELECT a, b, small_id, big_id, area_m2, ${q.lonlat("x")} AS location, ${q.json("x")} AS geometry,
+           ${q.json("fixed")} AS fixed
+    FROM (
+      SELECT s.*, ST_MakeValid(ST_Difference(s.small_g, s.big_g)) AS fixed FROM (
+        SELECT a.id AS a, b.id AS b, x, ${q.area("x")} AS area_m2,
+               CASE WHEN ST_Area(a.g) <= ST_Area(b.g) THEN a.g ELSE b.g END AS small_g,
+               CASE WHEN ST_Area(a.g) <= ST_Area(b.g) THEN b.g ELSE a.g END AS big_g,
+               CASE WHEN ST_Area(a.g) <= ST_Area(b.g) THEN a.id ELSE b.id END AS small_id,
+               CASE WHEN ST_Area(a.g) <= ST_Area(b.g) THEN b.id ELSE a.id END AS big_id
+        FROM valid a
+        JOIN valid b ON a.id < b.id AND a.g && b.g AND ST_Relate(a.g, b.g, '2********') AND NOT ST_Equals(a.g, b.g)
+        CROSS JOIN LATERAL (SELECT ST_CollectionExtract(ST_MakeValid(ST_Intersection(a.g, b.g)), 3) AS x) i
+      ) s
+      WHERE area_m2 >= $${params.length}
+    ) o
+    ORDER BY area_m2 DESC LIMIT ${QA_MAX_ISSUES}`, params);
+  return rows.map(r => {
+    const { small_id: small, big_id: big } = r;
+    return {
+      type: "overlap", ids: [r.a, r.b], area_m2: r.area_m2,
+      message: `${r.a} and ${r.b} overlap by ${r.area_m2.toFixed(2)} m²`,
+      location: r.location, geometry: r.geometry,
+      fix: {
+        description: `Cut the overlap out of ${small} (the smaller feature)`,
+        sql: `UPDATE ${q.table} SET ${q.geom} = ST_MakeValid(ST_Difference(${q.geom}, ` +
+          `(SELECT ${q.geom} FROM ${q.table} WHERE ${q.byId(big)}))) WHERE ${q.byId(small)};`,
+        geometry: r.fixed,
+      },
+    };
+  });
+}
+
+async function qaDuplicates(layer, meta, base, params) {
+  const q = qaSQL(layer, meta);
+  const { rows } = await pool.query(`${base}, valid AS (SELECT * FROM base WHERE ST_IsValid(g))
+    SELECT a.id AS a, b.id AS b, ${q.lonlat("a.g")} AS location, ${q.json("a.g")} AS geometry
+    FROM valid a JOIN valid b ON a.id < b.id AND a.g && b.g AND ST_Equals(a.g, b.g)
+    ORDER BY a.id, b.id LIMIT ${QA_MAX_ISSUES}`, params);
+  return rows.map(r => ({
+    type: "duplicate", ids: [r.a, r.b], message: `${r.b} has the same geometry as ${r.a}`,
+    location: r.location, geometry: r.geometry,
+    fix: {
+      description: `Delete ${r.b} (keep ${r.a})`,
+      sql: `DELETE FROM ${q.table} WHERE ${q.byId(r.b)};`,
+      geometry: null,
+    },
+  }));
+}
+
+// Small holes in the union of the polygons: slivers left between neighbours.
+// The fix merges the gap into the first neighbour.
+async function qaGaps(layer, meta, base, params, { maxGap }) {
+  const q = qaSQL(layer, meta);
+  params.push(maxGap);
+  const { rows } = await pool.query(`${base}, valid AS (SELECT * FROM base WHERE ST_IsValid(g) AND ST_Dimension(g) = 2),
+    parts AS (SELECT (ST_Dump(ST_Union(g))).geom AS p FROM valid),
+    holes AS (
+      SELECT ST_MakePolygon(ST_InteriorRingN(p, n)) AS gap
+      FROM parts, generate_series(1, ST_NumInteriorRings(p)) AS n
+    )
+    SELECT ids, area_m2, ST_AsText(gap) AS wkt, ${q.lonlat("gap")} AS location, ${q.json("gap")} AS geometry
+    FROM (
+      SELECT gap, ${q.area("gap")} AS area_m2,
+             (SELECT array_agg(v.id ORDER BY v.id) FROM valid v WHERE v.g && gap AND ST_Intersects(v.g, gap)) AS ids
+      FROM holes
+    ) h
+    WHERE area_m2 <= $${params.length}
+    ORDER BY area_m2 LIMIT ${QA_MAX_ISSUES}`, params);
+  return rows.map(r => {
+    const target = r.ids?.[0];
+    return {
+      type: "gap", ids: r.ids || [], area_m2: r.area_m2,
+      message: `Gap of ${r.area_m2.toFixed(2)} m² between ${(r.ids || []).join(", ")}`,
+      location: r.location, geometry: r.geometry,
+      fix: target === undefined ? null : {
+        description: `Merge the gap into ${target}`,
+        sql: `UPDATE ${q.table} SET ${q.geom} = ST_MakeValid(ST_Union(${q.geom}, ` +
+          `ST_GeomFromText(${literal(r.wkt)}, ${q.srid}))) WHERE ${q.byId(target)};`,
+        geometry: null,
+      },
+    };
+  });
+}
+
+// Features not within any block: the part outside the blocks is the issue,
+// the fix clips the feature to the block it overlaps most
+async function qaContainment(layer, meta, base, params, { minArea }, blocks, blocksMeta) {
+  const q = qaSQL(layer, meta);
+  const bSrid = tableSrid(blocksMeta);
+  const inB = g => (bSrid === q.srid ? g : `ST_Transform(${g}, ${bSrid})`);
+  const back = g => (bSrid === q.srid ? g : `ST_Transform(${g}, ${q.srid})`);
+  const bGeom = `k.${ident(blocks.geom)}`;
+  params.push(minArea);
+  const { rows } = await pool.query(`${base}, valid AS (SELECT * FROM base WHERE ST_IsValid(g))
+    SELECT id, block, area_m2, ${q.lonlat("outside")} AS location, ${q.json("outside")} AS geometry,
+           ${q.json(`ST_MakeValid(ST_Intersection(g, ${back("block_g")}))`)} AS fixed
+    FROM (
+      SELECT v.id, v.g, o.outside, ${q.area("o.outside")} AS area_m2, best.block, best.block_g
+      FROM valid v
+      CROSS JOIN LATERAL (
+        SELECT ST_Difference(v.g, coalesce(
+          (SELECT ${back(`ST_Union(${bGeom})`)} FROM ${ident(blocks.table)} k
+           WHERE ${bGeom} && ${inB("v.g")} AND ST_Intersects(${bGeom}, ${inB("v.g")})),
+          ST_GeomFromText('POLYGON EMPTY', ${q.srid}))) AS outside
+      ) o
+      LEFT JOIN LATERAL (
+        SELECT k.${ident(blocks.id)}::text AS block, ${bGeom} AS block_g
+        FROM ${ident(blocks.table)} k
+        WHERE ${bGeom} && ${inB("v.g")} AND ST_Intersects(${bGeom}, ${inB("v.g")})
+        ORDER BY ST_Area(ST_Intersection(${bGeom}, ${inB("v.g")})) DESC LIMIT 1
+      ) best ON true
+      WHERE NOT EXISTS (
+        SELECT 1 FROM ${ident(blocks.table)} k WHERE ${bGeom} && ${inB("v.g")} AND ST_Within(${inB("v.g")}, ${bGeom})
+      )
+    ) s
+    WHERE area_m2 >= $${params.length}
+    ORDER BY area_m2 DESC LIMIT ${QA_MAX_ISSUES}`, params);
+  const bq = qaSQL(blocks, blocksMeta);
+  return rows.map(r => ({
+    type: "outside_block", ids: [r.id], area_m2: r.area_m2,
+    message: r.block
+      ? `${r.area_m2.toFixed(2)} m² of ${r.id} lies outside block ${r.block}`
+      : `${r.id} is not inside any block`,
+    location: r.location, geometry: r.geometry,
+    fix: r.block ? {
+      description: `Clip ${r.id} to block ${r.block}`,
+      sql: `UPDATE ${q.table} SET ${q.geom} = ST_MakeValid(ST_Intersection(${q.geom}, ` +
+        `(SELECT ${back(bq.geom)} FROM ${bq.table} WHERE ${bq.byId(r.block)}))) WHERE ${q.byId(r.id)};`,
+      geometry: r.fixed,
+    } : null,
+  }));
+}
+
+async function runQualityChecks(req, layer, meta, opts) {
+  const params = [];
+  const where = layerFilters(layer, meta, req.query, params, req.rowFilter);
+  const base = `WITH base AS (
+    SELECT ${ident(layer.id)}::text AS id, ${ident(layer.geom)} AS g FROM ${ident(layer.table)}
+    WHERE ${ident(layer.geom)} IS NOT NULL${where.length ? ` AND ${where.join(" AND ")}` : ""})`;
+  const out = { layer: layer.name, checks: [], skipped: {}, counts: {}, issues: [] };
+  const run = async (name, fn) => {
+    const issues = await fn([...params]);
+    out.checks.push(name);
+    out.counts[name] = issues.length;
+    out.issues.push(...issues);
+  };
+
+  if (opts.checks.includes("invalid")) await run("invalid", p => qaInvalid(layer, meta, base, p));
+  if (opts.checks.includes("duplicates")) await run("duplicates", p => qaDuplicates(layer, meta, base, p));
+  if (opts.checks.includes("overlaps")) await run("overlaps", p => qaOverlaps(layer, meta, base, p, opts));
+  if (opts.checks.includes("gaps")) await run("gaps", p => qaGaps(layer, meta, base, p, opts));
+  if (opts.checks.includes("containment")) {
+    const blocks = [...layers.values()].find(l => l.table === QA_BLOCKS_TABLE);
+    if (!blocks) out.skipped.containment = `${QA_BLOCKS_TABLE} is not a registered layer`;
+    else if (blocks === layer) out.skipped.containment = "the layer is the blocks layer itself";
+    else if (!layerAccess(req.user, blocks)) out.skipped.containment = `no access to ${blocks.name}`;
+    else {
+      const blocksMeta = await getLayerMeta(blocks);
+      await run("containment", p => qaContainment(layer, meta, base, p, opts, blocks, blocksMeta));
+    }
+  }
+  return out;
+}
+
+/* ───────────── Query validation ───────────── */
+// Each route lists the query parameters it takes (checkQuery(schema) before
+// the handler). Unknown, repeated or malformed ones get a 400 naming every
+// problem. A checker gets the raw string and returns a reason or null.
+const param = {
+  int: (min, max) => v =>
+    (/^-?\d+$/.test(v) && Number(v) >= min && Number(v) <= max ? null : `must be an integer from ${min} to ${max}`),
+  number: (min, max) => v =>
+    (v.trim() !== "" && Number(v) >= min && Number(v) <= max ? null : `must be a number from ${min} to ${max}`),
+  text: (max = 200) => v => (v.length <= max ? null : `must be at most ${max} characters`),
+  oneOf: (...values) => v =>
+    (values.some(x => x.toLowerCase() === v.toLowerCase()) ? null : `must be one of ${values.join(", ")}`),
+  list: (maxItems, item = param.text(100)) => v => {
+    const items = v.split(",").map(s => s.trim());
+    if (items.length > maxItems) return `takes at most ${maxItems} values`;
+    const bad = items.map(x => [x, item(x)]).find(([, reason]) => reason);
+    return bad ? `"${bad[0]}" ${bad[1]}` : null;
+  },
+  bbox: (...sizes) => v => {
+    const n = v.split(",").map(s => (s.trim() === "" ? NaN : Number(s)));
+    return sizes.includes(n.length) && n.every(Number.isFinite) ? null : `must be ${sizes.join(" or ")} comma-separated numbers`;
+  },
+  datetime: v => {
+    try {
+      parseDatetime(v);
+      return null;
+    } catch {
+      return "must be an RFC 3339 instant or a start/end interval (.. for an open end)";
+    }
+  },
+  cursor: v => {
+    try {
+      decodeCursor(v);
+      return null;
+    } catch {
+      return "is not a cursor from a previous page";
+    }
+  },
+  srs: v => (/^(EPSG:)?\d{4,6}$/i.test(v) ? null : "must be an EPSG code such as EPSG:3857"),
+};
+
+// Accepted on every route: ?access_token (EventSource) and ?_ (cache busters)
+const ANY_ROUTE_PARAMS = { access_token: param.text(4096), _: param.text(32) };
+
+// The feature-route filters read by layerFilters
+const FILTER_PARAMS = {
+  q: param.text(200),
+  bbox: param.bbox(4),
+  filter: param.text(FILTER_MAX_LENGTH),
+  ids: param.list(10000),
+  datetime: param.datetime,
+};
+
+// Per-route schemas (routes without parameters use checkQuery())
+const LAYER_QUERY = { ...FILTER_PARAMS, limit: param.int(1, 1000000), cursor: param.cursor, format: param.oneOf("json", "ndjson") };
+const EXPORT_QUERY = { ...FILTER_PARAMS, format: param.oneOf(...Object.keys(EXPORT_FORMATS)), srs: param.srs };
+const STATS_QUERY = {
+  ...FILTER_PARAMS,
+  columns: param.list(500),
+  groupBy: param.text(63),
+  agg: param.list(50),
+  bins: param.int(1, STATS_MAX_BINS),
+  top: param.int(1, STATS_MAX_TOP),
+};
+const CLASSIFY_QUERY = {
+  ...FILTER_PARAMS,
+  column: param.text(63),
+  method: param.oneOf(...CLASSIFY_METHODS),
+  classes: param.int(2, CLASSIFY_MAX_CLASSES),
+};
+const SEARCH_QUERY = { q: param.text(200), limit: param.int(1, SEARCH_MAX_LIMIT), layers: param.list(500) };
+const REPORT_QUERY = {
+  view: param.text(32),
+  layer: param.text(100),
+  ids: FILTER_PARAMS.ids,
+  filter: FILTER_PARAMS.filter,
+  datetime: FILTER_PARAMS.datetime,
+  title: param.text(200),
+  paper: param.oneOf(...Object.keys(PAPER_SIZES)),
+  orientation: param.oneOf("landscape", "portrait"),
+  scale: param.number(100, 50000000),
+  format: param.oneOf("pdf", "html"),
+};
+const QA_QUERY = {
+  ...FILTER_PARAMS,
+  checks: param.list(QA_CHECKS.length, param.oneOf(...QA_CHECKS)),
+  min_area: param.number(0, 1e12),
+  max_gap: param.number(0, 1e12),
+};
+// OGC API: unknown parameters must be a 400 (/req/core/query-param-unknown);
+// a limit above the maximum is lowered, not refused
+const OGC_QUERY = { f: param.oneOf("json", "html") };
+const OGC_ITEMS_QUERY = {
+  ...OGC_QUERY,
+  bbox: param.bbox(4, 6),
+  limit: param.int(1, 1000000),
+  offset: param.int(0, 1000000000),
+  datetime: FILTER_PARAMS.datetime,
+};
+
+function checkQuery(schema = {}) {
+  const checkerFor = name =>
+    (Object.hasOwn(schema, name) ? schema[name] : Object.hasOwn(ANY_ROUTE_PARAMS, name) ? ANY_ROUTE_PARAMS[name] : null);
+  return (req, res, next) => {
+    const problems = [];
+    for (const [name, value] of Object.entries(req.query)) {
+      const check = checkerFor(name);
+      const error = !check ? "unknown parameter"
+        : typeof value !== "string" ? "must be given once, as plain text"
+        : check(value);
+      if (error) problems.push({ param: name, error });
+    }
+    if (problems.length) return sendError(res, httpError(400, "Invalid query parameters", problems));
+    next();
+  };
+}
+
+/* ───────────── Rate limiting ───────────── */
+// Fixed one-minute windows per route class and client IP (req.ip, see "trust
+// proxy"), with the rates from ROUTE_CLASSES. Counts live in this process, so
+// with several instances each one allows the full rate. Over the limit: 429
+// with Retry-After; every limited response carries RateLimit-* headers.
+const RATE_WINDOW = 60 * 1000;
+const rateWindows = new Map(); // "class ip" -> { count, reset }
+
+function rateLimit(req, res, next) {
+  const limit = ROUTE_CLASSES[req.routeClass]?.rate;
+  if (!limit) return next();
+  const now = Date.now();
+  const key = `${req.routeClass} ${req.ip}`;
+  let w = rateWindows.get(key);
+  if (!w || w.reset <= now) {
+    w = { count: 0, reset: now + RATE_WINDOW };
+    rateWindows.set(key, w);
+  }
+  w.count++;
+  const resetIn = Math.ceil((w.reset - now) / 1000);
+  res.set({
+    "RateLimit-Limit": String(limit),
+    "RateLimit-Remaining": String(Math.max(limit - w.count, 0)),
+    "RateLimit-Reset": String(resetIn),
+  });
+  if (w.count <= limit) return next();
+  rateLimited.inc({ class: req.routeClass });
+  res.set("Retry-After", String(resetIn));
+  res.status(429).json({ error: "Too many requests, try again later" });
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, w] of rateWindows) if (w.reset <= now) rateWindows.delete(key);
+}, RATE_WINDOW).unref();
+
+// before authentication, so failed logins and bad keys count too
+app.use(rateLimit);
+
+/* ───────────── Authentication ───────────── */
+// Users and API keys come from AUTH_FILE (default ./auth.json):
+//   { "users": [ { "name": "ana", "password": "scrypt$<salt>$<hash>", "role": "editor",
+//                  "layers": { "blocks": { "filter": "district = 'North'" },
+//                              "*": { "role": "viewer" } } } ],
+//     "apiKeys": [ { "name": "qgis", "key": "sha256:<hex of the key>", "role": "viewer" } ] }
+// Roles: viewer (read), editor (+ write on editable layers), admin (everything).
+// "layers" is optional: without it a user reaches every layer with their role;
+// with it only the listed layers ("*" = the rest), each optionally with a
+// lower role and a row filter (same syntax as ?filter, on exposed columns).
+// Password hash:
+//   node -e "const c=require('crypto'),s=c.randomBytes(16).toString('hex');console.log('scrypt$'+s+'$'+c.scryptSync(process.argv[1],s,64).toString('hex'))" 'secret'
+// Clients send "Authorization: Bearer <jwt>" (from POST /auth/login),
+// "X-API-Key: <key>", or ?access_token= where headers can't be set (EventSource).
+const ROLE_RANK = { viewer: 1, editor: 2, admin: 3 };
+const AUTH_FILE = process.env.AUTH_FILE || "auth.json";
+const JWT_TTL = Number(process.env.JWT_TTL || 8 * 3600); // seconds
+const ANONYMOUS_ROLE = process.env.ANONYMOUS_ROLE || null; // e.g. "viewer" for public read access
+const PUBLIC_PATHS = new Set(["/", "/health", "/health/live", "/health/ready", "/auth/login"]);
+
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  JWT_SECRET = crypto.randomBytes(32).toString("hex");
+  log.warn("JWT_SECRET not set: using a random one, tokens end with this process");
+}
+
+function loadAuthConfig() {
+  if (!fs.existsSync(AUTH_FILE)) {
+    log.warn("No auth file: no users or API keys configured", { file: AUTH_FILE });
+    return { users: [], apiKeys: [] };
+  }
+  const cfg = JSON.parse(fs.readFileSync(AUTH_FILE, "utf8"));
+  for (const who of [...(cfg.users || []), ...(cfg.apiKeys || [])]) {
+    if (!ROLE_RANK[who.role]) throw new Error(`Unknown role for ${who.name}: ${who.role}`);
+  }
+  return { users: cfg.users || [], apiKeys: cfg.apiKeys || [] };
+}
+
+const authConfig = loadAuthConfig();
+if (ANONYMOUS_ROLE && !ROLE_RANK[ANONYMOUS_ROLE]) throw new Error(`Unknown ANONYMOUS_ROLE: ${ANONYMOUS_ROLE}`);
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// async: scrypt is slow on purpose and must not block the event loop
+async function checkPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  return safeEqual((await scryptAsync(String(password), salt, 64)).toString("hex"), hash);
+}
+
+// HS256 JWT: base64url(header).base64url(payload).base64url(hmac)
+function signToken(payload) {
+  const enc = obj => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const body = `${enc({ alg: "HS256", typ: "JWT" })}.${enc(payload)}`;
+  return `${body}.${crypto.createHmac("sha256", JWT_SECRET).update(body).digest("base64url")}`;
+}
+
+function verifyToken(token) {
+  const [header, payload, signature] = String(token).split(".");
+  if (!header || !payload || !signature) return null;
+  const expected = crypto.createHmac("sha256", JWT_SECRET).update(`${header}.${payload}`).digest("base64url");
+  if (!safeEqual(signature, expected)) return null;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url").toString("utf8")).alg !== "HS256") return null;
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return claims.exp > Date.now() / 1000 ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// Current permissions are read from the config, so changes apply to live tokens
+function userFromToken(token) {
+  const claims = verifyToken(token);
+  const user = claims && authConfig.users.find(u => u.name === claims.sub);
+  return user ? { name: user.name, role: user.role, layers: user.layers || null, via: "token" } : null;
+}
+
+function userFromApiKey(key) {
+  const digest = "sha256:" + crypto.createHash("sha256").update(String(key)).digest("hex");
+  const entry = authConfig.apiKeys.find(k => safeEqual(k.key, digest));
+  return entry ? { name: entry.name, role: entry.role, layers: entry.layers || null, via: "apiKey" } : null;
+}
+
+// { role, filter } for a user on one layer, or null when the layer is hidden
+function layerAccess(user, layer) {
+  if (!user) return null;
+  if (user.role === "admin") return { role: "admin", filter: null };
+  const rule = user.layers ? (user.layers[layer.name] ?? user.layers["*"]) : {};
+  if (!rule) return null;
+  const role = rule.role && ROLE_RANK[rule.role] < ROLE_RANK[user.role] ? rule.role : user.role;
+  return { role, filter: rule.filter || null };
+}
+
+function hasRole(req, role) {
+  return !!req.user && ROLE_RANK[req.user.role] >= ROLE_RANK[role];
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req, role)) return next();
+    res.status(req.user ? 403 : 401).json({ error: req.user ? `Needs ${role} role` : "Authentication required" });
+  };
+}
+
+// Sets req.user from a bearer token, an API key or ?access_token; everything
+// except PUBLIC_PATHS needs a user (or ANONYMOUS_ROLE). A bad credential is
+// ignored on PUBLIC_PATHS, so a stale token can't break login or health checks.
+function authenticate(req, res, next) {
+  const header = req.get("Authorization") || "";
+  const bearer = /^Bearer\s+(.+)$/i.exec(header)?.[1];
+  const apiKey = req.get("X-API-Key") || /^ApiKey\s+(.+)$/i.exec(header)?.[1];
+  const queryToken = req.query.access_token;
+  const anonymous = ANONYMOUS_ROLE ? { name: "anonymous", role: ANONYMOUS_ROLE, layers: null, via: "anonymous" } : null;
+  const isPublic = PUBLIC_PATHS.has(req.path);
+
+  if (bearer) req.user = userFromToken(bearer);
+  else if (apiKey) req.user = userFromApiKey(apiKey);
+  else if (queryToken) req.user = userFromToken(queryToken) || userFromApiKey(queryToken);
+  else req.user = anonymous;
+
+  if ((bearer || apiKey || queryToken) && !req.user) {
+    if (isPublic) {
+      req.user = anonymous;
+      return next();
+    }
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: "Invalid or expired credentials" });
+  }
+  if (!req.user && !isPublic) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  next();
+}
+
+app.use(authenticate);
+
+// GeoJSON bodies, read only once a request has passed rate limiting and
+// authentication; /imports gets its own, larger limit (see the import route)
+const jsonBody = express.json({ limit: process.env.JSON_LIMIT || "10mb" });
+app.use((req, res, next) => (req.path === "/imports" ? next() : jsonBody(req, res, next)));
+app.use(routeContext);
+
+/* ───────────── Routes ───────────── */
+
+// 1) Home
+app.get("/", checkQuery(), (_req, res) => {
+  res
+    .type("text")
+    .send("WebGIS API is running.\nTry /health, /whoami, /layers, /layers/:name, /ogc\n");
+});
+
+// 2) Health. /health/live → the process answers (restart it when it doesn't);
+//    /health/ready → the database answers and the schema is set up (send traffic
+//    only then); /health → both, 503 while not ready. No error details: public.
+async function readiness() {
+  const checks = { database: false, schema: schemaReady, changeListener: listening };
+  try {
+    await pool.query("SELECT 1");
+    checks.database = true;
+  } catch (err) {
+    log.warn("Readiness check failed", { error: err.message });
+  }
+  return { ready: checks.database && checks.schema, checks };
+}
+
+app.get("/health/live", checkQuery(), (_req, res) => {
+  res.json({ ok: true, uptime: Math.round(process.uptime()) });
+});
+
+app.get("/health/ready", checkQuery(), async (_req, res) => {
+  const { ready, checks } = await readiness();
+  res.status(ready ? 200 : 503).json({ ok: ready, checks });
+});
+
+app.get("/health", checkQuery(), async (_req, res) => {
+  const { ready, checks } = await readiness();
+  res.status(ready ? 200 : 503).json({ live: true, ready, checks });
+});
+
+// 3) Who am I → the caller, and the database role and database the API uses
+app.get("/whoami", requireRole("admin"), checkQuery(), async (req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT current_user AS "dbUser", current_database() AS database`);
+    res.json({ user: req.user.name, role: req.user.role, via: req.user.via, ...rows[0] });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 4) /layers → catalog of the layers this user can see (SRID, extent, count,
+//    schema, and their access role on each)
+app.get("/layers", checkQuery(), async (req, res) => {
+  try {
+    const out = [];
+    for (const layer of layers.values()) {
+      const access = layerAccess(req.user, layer);
+      if (access) out.push({ ...(await describeLayer(layer)), access: access.role });
+    }
+    res.json({ layers: out });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 5) /layers/:name → GeoJSON for one registered layer, with ?limit & ?cursor
+//    & ?bbox & ?q & ?filter (CQL2-text) & ?datetime (instant or a/b interval); ?format=ndjson streams newline-delimited features
+app.get("/layers/:name", checkQuery(LAYER_QUERY), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  await sendLayerGeoJSON(layer, req, res);
+});
+
+// Legacy aliases kept for older frontends (same as /layers/blocks, /layers/buildings)
+for (const name of ["blocks", "buildings"]) {
+  app.get(`/${name}`, checkQuery(LAYER_QUERY), async (req, res) => {
+    const layer = getLayer(req, res, "viewer", name);
+    if (!layer) return;
+    await sendLayerGeoJSON(layer, req, res);
+  });
+}
+
+// 6) Debug stats for buildings
+app.get("/debug/buildings-stats", requireRole("admin"), checkQuery(), async (_req, res) => {
+  try {
+    const { rows: cnt } = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM public.buildings`
+    );
+    const { rows: sr } = await pool.query(
+      `SELECT COALESCE(ST_SRID(geom),0) AS srid
+       FROM public.buildings
+       WHERE geom IS NOT NULL
+       LIMIT 1`
+    );
+    const { rows: bbox } = await pool.query(
+      `SELECT ST_Extent(geom) AS extent FROM public.buildings`
+    );
+    res.json({
+      count: cnt[0].count,
+      srid: sr[0]?.srid ?? 0,
+      extent: bbox[0].extent,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 7) /tiles/:name/:z/:x/:y.pbf → Mapbox Vector Tile (LRU cached, ETag/304), optional ?filter & ?datetime
+app.get("/tiles/:name/:z/:x/:y.pbf", checkQuery({ filter: FILTER_PARAMS.filter, datetime: FILTER_PARAMS.datetime }), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  const z = Number(req.params.z), x = Number(req.params.x), y = Number(req.params.y);
+  const n = 2 ** z;
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > 22 || x < 0 || y < 0 || x >= n || y >= n) {
+    return res.status(400).json({ error: "Invalid tile coordinates" });
+  }
+
+  try {
+    // the row filter is part of the filter text, so it is part of the cache key
+    const filter = [req.rowFilter, req.query.filter].filter(Boolean).map(f => `(${f})`).join(" AND ") || null;
+    const datetime = req.query.datetime ? String(req.query.datetime) : null;
+    const key = `${layer.name}/${z}/${x}/${y}` + (filter ? `?${filter}` : "") + (datetime ? `@${datetime}` : "");
+    let tile = tileCacheGet(key);
+    if (!tile) {
+      tile = await buildTile(layer, z, x, y, filter, datetime);
+      tileCacheSet(key, tile);
+    }
+
+    res.set("ETag", tile.etag);
+    res.set("Cache-Control", "no-cache"); // always revalidate, 304 when unchanged
+    if (req.headers["if-none-match"] === tile.etag) return res.status(304).end();
+    res.type("application/vnd.mapbox-vector-tile").send(tile.body);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 8) DELETE /tiles/:name → drop cached tiles for one layer (after bulk edits)
+app.delete("/tiles/:name", checkQuery(), (req, res) => {
+  const layer = getLayer(req, res, "editor");
+  if (!layer) return;
+  invalidateTiles(layer.name);
+  res.json({ ok: true, layer: layer.name });
+});
+
+// 9) POST /layers/:name/intersects { geometry } → features intersecting it
+// 10) POST /layers/:name/within { geometry, distance } → within N metres (geography)
+// 11) POST /layers/:name/nearest { geometry, k } → k nearest (KNN <->), with distance_m
+//     All three also honour ?q, ?bbox and ?filter.
+async function sendSpatialQuery(kind, req, res) {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    const meta = await getLayerMeta(layer);
+    const params = [];
+    const where = layerFilters(layer, meta, req.query, params, req.rowFilter);
+    const g = inputGeomSQL(req.body?.geometry, meta, params);
+    const col = ident(layer.geom);
+    const colGeog = `${tableSrid(meta) === 4326 ? col : `ST_Transform(${col}, 4326)`}::geography`;
+    const gGeog = `ST_Transform(${g}, 4326)::geography`;
+    const opts = { where, params };
+
+    if (kind === "intersects") {
+      where.push(`ST_Intersects(${col}, ${g})`);
+    } else if (kind === "within") {
+      const distance = Number(req.body?.distance);
+      if (!Number.isFinite(distance) || distance < 0) {
+        return res.status(400).json({ error: "distance must be a number of metres >= 0" });
+      }
+      params.push(distance);
+      where.push(`ST_DWithin(${colGeog}, ${gGeog}, $${params.length})`);
+      opts.extra = `ST_Distance(${colGeog}, ${gGeog}) AS distance_m`;
+      opts.orderBy = "distance_m";
+    } else {
+      const k = Math.min(Math.max(Math.floor(Number(req.body?.k) || 5), 1), 1000);
+      opts.extra = `ST_Distance(${colGeog}, ${gGeog}) AS distance_m`;
+      opts.orderBy = `${col} <-> ${g}`;
+      opts.limit = k;
+    }
+
+    const features = await queryFeatures(layer, meta, opts);
+    res.set("Cache-Control", "no-store");
+    res.json({ type: "FeatureCollection", numberReturned: features.length, features });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+app.post("/layers/:name/intersects", checkQuery(FILTER_PARAMS), (req, res) => sendSpatialQuery("intersects", req, res));
+app.post("/layers/:name/within", checkQuery(FILTER_PARAMS), (req, res) => sendSpatialQuery("within", req, res));
+app.post("/layers/:name/nearest", checkQuery(FILTER_PARAMS), (req, res) => sendSpatialQuery("nearest", req, res));
+
+// 12) GET /layers/:name/features/:id → one Feature (ETag = version)
+app.get("/layers/:name/features/:id", checkQuery(), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    const meta = await getLayerMeta(layer);
+    const feature = await getFeature(layer, meta, req.params.id, req.rowFilter);
+    if (!feature) return res.status(404).json({ error: "Feature not found" });
+    sendFeature(res, feature);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 13) POST /layers/:name/features → create from a GeoJSON Feature (EPSG:4326)
+app.post("/layers/:name/features", checkQuery(), async (req, res) => {
+  const layer = getLayer(req, res, "editor");
+  if (!layer) return;
+  try {
+    requireEditable(layer);
+    const meta = await getLayerMeta(layer);
+    const params = [];
+    const { columns, values } = await featureWriteValues(layer, meta, req.body, params, { create: true });
+    const created = await withTransaction(async client => {
+      await tagChanges(client, editorName(req));
+      const { rows } = await client.query(
+        `INSERT INTO ${ident(layer.table)} (${columns.join(", ")})
+         VALUES (${values.join(", ")})
+         RETURNING ${ident(layer.id)} AS id`,
+        params
+      );
+      const after = await lockFeature(client, layer, meta, rows[0].id, req.rowFilter);
+      if (!after) throw httpError(403, "The feature would be outside the rows you may edit");
+      return after;
+    });
+    invalidateTiles(layer.name);
+    sendFeature(res, created, 201);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 14) PATCH /layers/:name/features/:id { geometry?, properties? } → partial update.
+//     Send If-Match: "<version>" (or body.version); a stale version gets 409
+//     with the current feature in `current`.
+app.patch("/layers/:name/features/:id", checkQuery(), async (req, res) => {
+  const layer = getLayer(req, res, "editor");
+  if (!layer) return;
+  try {
+    requireEditable(layer);
+    const meta = await getLayerMeta(layer);
+    const params = [];
+    const { columns, values } = await featureWriteValues(layer, meta, req.body, params, { create: false });
+    if (!columns.length) throw httpError(400, "Nothing to update");
+    params.push(req.params.id);
+
+    const updated = await withTransaction(async client => {
+      const before = await lockFeature(client, layer, meta, req.params.id, req.rowFilter);
+      if (!before) throw httpError(404, "Feature not found");
+      checkVersion(req, before);
+      await tagChanges(client, editorName(req));
+      await client.query(
+        `UPDATE ${ident(layer.table)}
+         SET ${columns.map((c, i) => `${c} = ${values[i]}`).join(", ")}
+         WHERE ${ident(layer.id)} = $${params.length}`,
+        params
+      );
+      const after = await lockFeature(client, layer, meta, req.params.id, req.rowFilter);
+      if (!after) throw httpError(403, "The change would move the feature outside the rows you may edit");
+      return after;
+    });
+    invalidateTiles(layer.name);
+    sendFeature(res, updated);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 15) DELETE /layers/:name/features/:id (If-Match checked like PATCH)
+app.delete("/layers/:name/features/:id", checkQuery(), async (req, res) => {
+  const layer = getLayer(req, res, "editor");
+  if (!layer) return;
+  try {
+    requireEditable(layer);
+    const meta = await getLayerMeta(layer);
+    await withTransaction(async client => {
+      const before = await lockFeature(client, layer, meta, req.params.id, req.rowFilter);
+      if (!before) throw httpError(404, "Feature not found");
+      checkVersion(req, before);
+      await tagChanges(client, editorName(req));
+      await client.query(
+        `DELETE FROM ${ident(layer.table)} WHERE ${ident(layer.id)} = $1`,
+        [req.params.id]
+      );
+    });
+    invalidateTiles(layer.name);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 16) GET /layers/:name/features/:id/history → past versions, newest first
+app.get("/layers/:name/features/:id/history", checkQuery(), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    // with a row filter, only history of features currently inside it
+    if (req.rowFilter && !(await getFeature(layer, await getLayerMeta(layer), req.params.id, req.rowFilter))) {
+      throw httpError(404, "Feature not found");
+    }
+    const { rows } = await pool.query(
+      `SELECT history_id AS "historyId", action, changed_by AS "changedBy", changed_at AS "changedAt",
+              old_properties AS "oldProperties", new_properties AS "newProperties",
+              old_geometry AS "oldGeometry", new_geometry AS "newGeometry"
+       FROM ${ident(HISTORY_TABLE)}
+       WHERE layer = $1 AND feature_id = $2
+       ORDER BY changed_at DESC, history_id DESC
+       LIMIT 500`,
+      [layer.name, String(req.params.id)]
+    );
+    res.set("Cache-Control", "no-store");
+    res.json({ layer: layer.name, id: req.params.id, history: rows });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 17) POST /layers/:name/features/:id/history/:historyId/revert
+//     → restore the state recorded by that entry (re-creates deleted features)
+app.post("/layers/:name/features/:id/history/:historyId/revert", checkQuery(), async (req, res) => {
+  const layer = getLayer(req, res, "editor");
+  if (!layer) return;
+  try {
+    requireEditable(layer);
+    const meta = await getLayerMeta(layer);
+    const { rows } = await pool.query(
+      `SELECT new_properties, new_geometry FROM ${ident(HISTORY_TABLE)}
+       WHERE history_id = $1 AND layer = $2 AND feature_id = $3`,
+      [req.params.historyId, layer.name, String(req.params.id)]
+    );
+    if (!rows.length) throw httpError(404, "History entry not found");
+    if (!rows[0].new_geometry) throw httpError(400, "That entry is a delete; pick an earlier version");
+
+    const target = { geometry: rows[0].new_geometry, properties: rows[0].new_properties || {} };
+    const reverted = await withTransaction(async client => {
+      const before = await lockFeature(client, layer, meta, req.params.id, req.rowFilter);
+      if (!before && req.rowFilter) throw httpError(404, "Feature not found");
+      if (before) checkVersion(req, before);
+      const params = [];
+      const { columns, values } = await featureWriteValues(layer, meta, target, params, { create: !before, db: client });
+      await tagChanges(client, editorName(req), "revert");
+      if (before) {
+        params.push(req.params.id);
+        await client.query(
+          `UPDATE ${ident(layer.table)}
+           SET ${columns.map((c, i) => `${c} = ${values[i]}`).join(", ")}
+           WHERE ${ident(layer.id)} = $${params.length}`,
+          params
+        );
+      } else {
+        await client.query(
+          `INSERT INTO ${ident(layer.table)} (${columns.join(", ")}) VALUES (${values.join(", ")})`,
+          params
+        );
+      }
+      const after = await lockFeature(client, layer, meta, req.params.id, req.rowFilter);
+      if (!after) throw httpError(403, "That version is outside the rows you may edit");
+      return after;
+    });
+    invalidateTiles(layer.name);
+    sendFeature(res, reverted);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 18) GET /events?layers=a,b → Server-Sent Events stream (only layers the user can see;
+//     EventSource can't send headers, so authenticate with ?access_token=).
+//     event "change": { layer, op: insert|update|delete, id, feature }
+app.get("/events", checkQuery({ layers: param.list(500) }), (req, res) => {
+  const names = req.query.layers
+    ? new Set(String(req.query.layers).split(",").map(s => s.trim()).filter(Boolean))
+    : null;
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // no proxy buffering
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const client = { res, layers: names, user: req.user };
+  sseClients.add(client);
+  req.on("close", () => sseClients.delete(client));
+});
+
+/* ───────────── OGC API – Features (Part 1: Core) ───────────── */
+// Mounted at /ogc so QGIS / ArcGIS / GDAL ("OAPIF:https://host/ogc") can use
+// the registered layers as collections. JSON or HTML by ?f=json|html or Accept.
+const OGC_CONFORMANCE = [
+  "http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core",
+  "http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/oas30",
+  "http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/html",
+  "http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/geojson",
+];
+const CRS84 = "http://www.opengis.net/def/crs/OGC/1.3/CRS84";
+
+const ogc = express.Router();
+
+function ogcBase(req) {
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+}
+
+function wantsHtml(req) {
+  if (req.query.f) return req.query.f === "html";
+  return req.accepts(["json", "geojson", "html"]) === "html";
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => (
+    { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]
+  ));
+}
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>body{font-family:Arial,sans-serif;margin:20px}table{border-collapse:collapse}td,th{border:1px solid #ddd;padding:4px 8px;text-align:left}</style>
+</head><body><h1>${escapeHtml(title)}</h1>${body}</body></html>`;
+}
+
+function htmlLinks(links) {
+  return "<ul>" + links.map(l =>
+    `<li><a href="${escapeHtml(l.href)}">${escapeHtml(l.title || l.rel)}</a> (${escapeHtml(l.rel)}, ${escapeHtml(l.type)})</li>`
+  ).join("") + "</ul>";
+}
+
+// self + alternate links for a resource in both encodings
+function selfLinks(req, href, jsonType = "application/json") {
+  const html = wantsHtml(req);
+  return [
+    { rel: html ? "alternate" : "self", type: jsonType, title: "This document as JSON", href: `${href}?f=json` },
+    { rel: html ? "self" : "alternate", type: "text/html", title: "This document as HTML", href: `${href}?f=html` },
+  ];
+}
+
+async function ogcCollection(req, layer) {
+  const base = ogcBase(req);
+  const info = await describeLayer(layer);
+  const href = `${base}/collections/${encodeURIComponent(layer.name)}`;
+  const collection = {
+    id: layer.name,
+    title: layer.title,
+    itemType: "feature",
+    crs: [CRS84],
+    extent: { spatial: { bbox: info.extent ? [info.extent] : [], crs: CRS84 } },
+    links: [
+      ...selfLinks(req, href),
+      { rel: "items", type: "application/geo+json", title: "Items as GeoJSON", href: `${href}/items?f=json` },
+      { rel: "items", type: "text/html", title: "Items as HTML", href: `${href}/items?f=html` },
+    ],
+  };
+  if (info.temporalExtent) {
+    collection.extent.temporal = {
+      interval: [info.temporalExtent],
+      trs: "http://www.opengis.net/def/uom/ISO-8601/0/Gregorian",
+    };
+  }
+  return collection;
+}
+
+// Minimal OpenAPI 3.0 definition for the routes below
+function ogcOpenApi(req) {
+  const base = ogcBase(req);
+  const p = (name, description, schema, required = false, where = "query") =>
+    ({ name, in: where, required, description, schema });
+  const json = { description: "OK", content: { "application/json": {} } };
+  const geojson = { description: "OK", content: { "application/geo+json": {} } };
+  return {
+    openapi: "3.0.3",
+    info: { title: "WebGIS API – OGC API Features", version: "1.0.0" },
+    servers: [{ url: base }],
+    paths: {
+      "/": { get: { summary: "Landing page", responses: { 200: json } } },
+      "/conformance": { get: { summary: "Conformance classes", responses: { 200: json } } },
+      "/collections": { get: { summary: "Feature collections", responses: { 200: json } } },
+      "/collections/{collectionId}": {
+        get: {
+          summary: "Collection metadata",
+          parameters: [p("collectionId", "Layer name", { type: "string", enum: [...layers.keys()] }, true, "path")],
+          responses: { 200: json, 404: { description: "Not found" } },
+        },
+      },
+      "/collections/{collectionId}/items": {
+        get: {
+          summary: "Features of a collection",
+          parameters: [
+            p("collectionId", "Layer name", { type: "string", enum: [...layers.keys()] }, true, "path"),
+            p("bbox", "minLon,minLat,maxLon,maxLat (CRS84)", { type: "array", items: { type: "number" }, minItems: 4, maxItems: 6 }),
+            p("datetime", "Instant or interval (RFC 3339, '..' for open ends)", { type: "string" }),
+            p("limit", "Page size", { type: "integer", minimum: 1, maximum: 10000, default: 10 }),
+            p("offset", "Features to skip", { type: "integer", minimum: 0, default: 0 }),
+          ],
+          responses: { 200: geojson, 400: { description: "Bad request" }, 404: { description: "Not found" } },
+        },
+      },
+      "/collections/{collectionId}/items/{featureId}": {
+        get: {
+          summary: "One feature",
+          parameters: [
+            p("collectionId", "Layer name", { type: "string" }, true, "path"),
+            p("featureId", "Feature id", { type: "string" }, true, "path"),
+          ],
+          responses: { 200: geojson, 404: { description: "Not found" } },
+        },
+      },
+    },
+  };
+}
+
+ogc.get("/", checkQuery(OGC_QUERY), (req, res) => {
+  const base = ogcBase(req);
+  const body = {
+    title: "WebGIS API",
+    description: "PostGIS layers as OGC API – Features collections",
+    links: [
+      ...selfLinks(req, `${base}/`),
+      { rel: "service-desc", type: "application/vnd.oai.openapi+json;version=3.0", title: "API definition", href: `${base}/api` },
+      { rel: "conformance", type: "application/json", title: "Conformance classes", href: `${base}/conformance` },
+      { rel: "data", type: "application/json", title: "Collections", href: `${base}/collections` },
+    ],
+  };
+  if (wantsHtml(req)) return res.type("html").send(htmlPage(body.title, `<p>${escapeHtml(body.description)}</p>${htmlLinks(body.links)}`));
+  res.json(body);
+});
+
+ogc.get("/api", checkQuery(OGC_QUERY), (req, res) => {
+  res.type("application/vnd.oai.openapi+json;version=3.0").send(JSON.stringify(ogcOpenApi(req)));
+});
+
+ogc.get("/conformance", checkQuery(OGC_QUERY), (req, res) => {
+  if (wantsHtml(req)) {
+    return res.type("html").send(htmlPage("Conformance", htmlLinks(OGC_CONFORMANCE.map(href => ({ rel: "conformsTo", type: "-", href })))));
+  }
+  res.json({ conformsTo: OGC_CONFORMANCE });
+});
+
+ogc.get("/collections", checkQuery(OGC_QUERY), async (req, res) => {
+  try {
+    const collections = [];
+    for (const layer of layers.values()) {
+      if (layerAccess(req.user, layer)) collections.push(await ogcCollection(req, layer));
+    }
+    const body = { links: selfLinks(req, `${ogcBase(req)}/collections`), collections };
+    if (wantsHtml(req)) {
+      return res.type("html").send(htmlPage("Collections", "<ul>" + collections.map(c =>
+        `<li><a href="${escapeHtml(c.links.find(l => l.type === "text/html").href)}">${escapeHtml(c.title)}</a> (${escapeHtml(c.id)})</li>`
+      ).join("") + "</ul>"));
+    }
+    res.json(body);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+ogc.get("/collections/:name", checkQuery(OGC_QUERY), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    const c = await ogcCollection(req, layer);
+    if (wantsHtml(req)) {
+      const bbox = c.extent.spatial.bbox[0];
+      return res.type("html").send(htmlPage(c.title, `<p>Extent: ${escapeHtml(bbox ? bbox.join(", ") : "empty")}</p>${htmlLinks(c.links)}`));
+    }
+    res.json(c);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+ogc.get("/collections/:name/items", checkQuery(OGC_ITEMS_QUERY), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    const meta = await getLayerMeta(layer);
+    const limit = Math.min(Math.max(Math.floor(Number(req.query.limit) || 10), 1), 10000);
+    const offset = Math.max(Math.floor(Number(req.query.offset) || 0), 0);
+
+    // bbox may be 3D (6 numbers); only the horizontal part is used
+    let bbox = req.query.bbox ? String(req.query.bbox).split(",").map(Number) : null;
+    if (bbox && bbox.length === 6) bbox = [bbox[0], bbox[1], bbox[3], bbox[4]];
+    if (bbox && (bbox.length !== 4 || !bbox.every(Number.isFinite))) throw httpError(400, "Invalid bbox");
+
+    const params = [];
+    const where = layerFilters(layer, meta, { bbox: bbox?.join(","), datetime: req.query.datetime }, params, req.rowFilter);
+
+    const [features, numberMatched] = await Promise.all([
+      queryFeatures(layer, meta, { where, params, limit, offset }),
+      countFeatures(layer, where, params),
+    ]);
+
+    const href = `${ogcBase(req)}/collections/${encodeURIComponent(layer.name)}/items`;
+    const page = o => {
+      const qs = linkParams(req.query, { offset: String(o), limit: String(limit) });
+      qs.delete("f");
+      return qs.toString();
+    };
+    const links = selfLinks(req, href, "application/geo+json").map(l => ({ ...l, href: `${l.href}&${page(offset)}` }));
+    if (offset + features.length < numberMatched) {
+      links.push({ rel: "next", type: "application/geo+json", title: "Next page", href: `${href}?f=json&${page(offset + limit)}` });
+    }
+    if (offset > 0) {
+      links.push({ rel: "prev", type: "application/geo+json", title: "Previous page", href: `${href}?f=json&${page(Math.max(offset - limit, 0))}` });
+    }
+
+    const body = {
+      type: "FeatureCollection",
+      timeStamp: new Date().toISOString(),
+      numberMatched,
+      numberReturned: features.length,
+      links,
+      features,
+    };
+    if (wantsHtml(req)) {
+      const keys = meta.columns.map(c => c.name);
+      const rows = features.map(f =>
+        `<tr><td><a href="${escapeHtml(`${href}/${encodeURIComponent(f.id)}?f=html`)}">${escapeHtml(f.id)}</a></td>` +
+        keys.map(k => `<td>${escapeHtml(f.properties[k])}</td>`).join("") + "</tr>"
+      ).join("");
+      return res.type("html").send(htmlPage(`${layer.title} – items`,
+        `<p>${offset + 1}–${offset + features.length} of ${numberMatched}</p>` +
+        `<table><tr><th>id</th>${keys.map(k => `<th>${escapeHtml(k)}</th>`).join("")}</tr>${rows}</table>` +
+        htmlLinks(links)));
+    }
+    res.type("application/geo+json").send(JSON.stringify(body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+ogc.get("/collections/:name/items/:featureId", checkQuery(OGC_QUERY), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    const meta = await getLayerMeta(layer);
+    const feature = await getFeature(layer, meta, req.params.featureId, req.rowFilter);
+    if (!feature) return res.status(404).json({ error: "Feature not found" });
+
+    const collection = `${ogcBase(req)}/collections/${encodeURIComponent(layer.name)}`;
+    feature.links = [
+      ...selfLinks(req, `${collection}/items/${encodeURIComponent(feature.id)}`, "application/geo+json"),
+      { rel: "collection", type: "application/json", title: layer.title, href: `${collection}?f=json` },
+    ];
+    if (wantsHtml(req)) {
+      const rows = Object.entries(feature.properties).map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join("");
+      return res.type("html").send(htmlPage(`${layer.title} ${feature.id}`, `<table>${rows}</table>${htmlLinks(feature.links)}`));
+    }
+    res.set("ETag", `"${feature.version}"`);
+    res.type("application/geo+json").send(JSON.stringify(feature));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 19) OGC API – Features under /ogc (landing, /conformance, /collections, items)
+app.use("/ogc", ogc);
+
+// 20) GET /layers/:name/export?format=geojson|csv|gpkg|shp|kml&srs=EPSG:xxxx
+//     (+ ?ids, ?bbox, ?q, ?filter) → file download including geometry
+app.get("/layers/:name/export", checkQuery(EXPORT_QUERY), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  let dir = null;
+  try {
+    const format = String(req.query.format || "geojson").toLowerCase();
+    const fmt = EXPORT_FORMATS[format];
+    if (!fmt) throw httpError(400, `Unknown format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(", ")})`);
+    const meta = await getLayerMeta(layer);
+    const srid = await parseSrs(req.query.srs);
+    const params = [];
+    const where = layerFilters(layer, meta, req.query, params, req.rowFilter);
+
+    let closed = false;
+    req.on("close", () => { closed = true; });
+    res.set("Cache-Control", "no-store");
+    res.attachment(`${layer.name}.${fmt.ext}`);
+    res.type(fmt.type);
+
+    if (format === "geojson") {
+      await writeGeoJSON(exportSQL(layer, meta, where, srid), params, res, srid, () => closed);
+      return res.end();
+    }
+    if (format === "csv") {
+      await writeCSV(exportSQL(layer, meta, where, srid), params, res, meta.columns.map(c => c.name), () => closed);
+      return res.end();
+    }
+
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "webgis-export-"));
+    const output = await convertWithOgr(layer, exportSQL(layer, meta, where, 4326), params, fmt, srid, dir);
+    const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    dir = null; // the read stream owns it now
+    fs.createReadStream(output).on("close", cleanup).on("error", err => res.destroy(err)).pipe(res);
+  } catch (err) {
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      sendError(res, err);
+    } else {
+      log.error("Export failed", { requestId: req.id, error: err.message });
+      res.destroy(err);
+    }
+  } finally {
+    if (dir) fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+});
+
+// 21) POST /imports → load features into a layer (or a new table) + validation report
+//     { layer: "buildings" } or { table: "survey_2024", title? },
+//     features: [...] or a FeatureCollection, fixInvalid?: boolean
+app.post("/imports", express.json({ limit: IMPORT_LIMIT }), routeContext, checkQuery(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const features = (Array.isArray(body.features) ? body.features : body.features?.features) || [];
+    if (!features.length) throw httpError(400, "No features to import");
+    if (!body.layer && !body.table) throw httpError(400, "Give an existing layer or a new table name");
+
+    // structural checks before anything reaches Postgres
+    const report = [];
+    const usable = [];
+    features.forEach((f, index) => {
+      const g = f?.geometry;
+      if (!g || !GEOMETRY_TYPES.includes(g.type) || !(g.coordinates || g.geometries)) {
+        report.push({ index, error: "missing or malformed geometry", fixed: false });
+      } else usable.push({ index, feature: f });
+    });
+
+    const fix = !!body.fixInvalid;
+    for (const [i, reason] of await validateImport(usable.map(u => u.feature.geometry))) {
+      report.push({ index: usable[i].index, error: reason, fixed: fix });
+      if (!fix) usable[i].skip = true;
+    }
+    const rows = usable.filter(u => !u.skip).map(u => u.feature);
+
+    let layer, inserted, ignored = [], created = false;
+    if (body.layer) {
+      layer = getLayer(req, res, "editor", body.layer);
+      if (!layer) return;
+      requireEditable(layer);
+      if (req.rowFilter) throw httpError(403, "Imports into a layer you can only partly edit are not allowed");
+      const meta = await getLayerMeta(layer);
+      let mapping;
+      ({ mapping, ignored } = mapImportColumns(layer, meta, rows));
+      inserted = await withTransaction(async client => {
+        await tagChanges(client, editorName(req));
+        return insertImported(layer, meta, mapping, rows, fix, client);
+      });
+    } else {
+      if (!hasRole(req, "admin")) throw httpError(403, "Creating tables needs the admin role");
+      ({ layer, inserted } = await createImportTable(body.table, body.title, rows, { fix }));
+      created = true;
+    }
+    invalidateTiles(layer.name);
+
+    report.sort((a, b) => a.index - b.index);
+    res.status(created ? 201 : 200).json({
+      layer: layer.name,
+      table: layer.table,
+      created,
+      inserted,
+      skipped: features.length - inserted,
+      ignoredFields: ignored,
+      report,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 22) POST /process → geoprocessing result as GeoJSON (EPSG:4326)
+//     { op: "union" | "buffer" | "dissolve" | "clip" | "difference",
+//       input: { layer, ids?, filter?, bbox?, q? } or { features },
+//       distance? (buffer, metres), dissolve? (buffer), by? (dissolve attribute),
+//       mask? (clip/difference: GeoJSON geometry, { layer, ids?, filter? } or { features }),
+//       save?: { table, title? } → also stored as a new layer (201, admin only) }
+app.post("/process", checkQuery(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const params = [];
+    if (body.save && !hasRole(req, "admin")) throw httpError(403, "Saving results as a table needs the admin role");
+    const sql = await processSQL(body, params, req.user);
+    const { rows } = await pool.query(
+      `SELECT COALESCE(jsonb_agg(jsonb_build_object(
+                'type', 'Feature',
+                'properties', r.props,
+                'geometry', ST_AsGeoJSON(r.g)::jsonb
+              )), '[]'::jsonb) AS features
+       FROM (${sql}) r
+       WHERE r.g IS NOT NULL AND NOT ST_IsEmpty(r.g)`,
+      params
+    ).catch(err => { throw err.status ? err : httpError(422, `Processing failed: ${dataErrorMessage(err)}`); });
+    const features = rows[0].features;
+
+    let saved = null;
+    if (body.save) {
+      if (!body.save.table) throw httpError(400, "save needs a table name");
+      if (!features.length) throw httpError(422, "Nothing to save: the result is empty");
+      const { layer, inserted } = await createImportTable(body.save.table, body.save.title, features, { derived: true });
+      saved = { layer: layer.name, table: layer.table, inserted };
+    }
+
+    res.status(saved ? 201 : 200).json({ type: "FeatureCollection", op: body.op, saved, features });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 23) DELETE /process/:name → drop a layer saved by /process (only those; admin)
+app.delete("/process/:name", checkQuery(), async (req, res) => {
+  try {
+    const layer = getLayer(req, res, "admin");
+    if (!layer) return;
+    if (!layer.derived) throw httpError(403, `Layer ${layer.name} was not created by /process`);
+
+    await pool.query(`DROP TABLE IF EXISTS ${ident(layer.table)}`);
+    layers.delete(layer.name);
+    layerMeta.delete(layer.name);
+    invalidateTiles(layer.name);
+    if (fs.existsSync(LAYERS_FILE)) {
+      const list = JSON.parse(fs.readFileSync(LAYERS_FILE, "utf8")).filter(l => l.name !== layer.name);
+      fs.writeFileSync(LAYERS_FILE, JSON.stringify(list, null, 2) + "\n");
+    }
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 24) GET /layers/:name/stats → per-column summaries, geodesic totals and
+//     ?groupBy= aggregates (?agg=sum:col,avg:col) over ?q / ?bbox / ?filter / ?ids.
+//     ?columns=a,b limits the summaries, ?bins= and ?top= size them.
+app.get("/layers/:name/stats", checkQuery(STATS_QUERY), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    const meta = await getLayerMeta(layer);
+    res.set("Cache-Control", "no-store");
+    res.json(await layerStats(layer, meta, req.query, req.rowFilter));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 25) GET /layers/:name/classify?column=&method=quantile|equal|jenks|categories&classes=5
+//     → class breaks (or top categories) over the whole layer, honouring ?q/?bbox/?filter
+app.get("/layers/:name/classify", checkQuery(CLASSIFY_QUERY), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    res.json(await classifyColumn(layer, await getLayerMeta(layer), req.query, req.rowFilter));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 26) GET/PUT/DELETE /layers/:name/style → the layer's shared style definition
+app.get("/layers/:name/style", checkQuery(), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    const saved = await getLayerStyle(layer);
+    res.set("Cache-Control", "no-store");
+    res.json({ layer: layer.name, style: saved?.style ?? null, updatedBy: saved?.updated_by ?? null, updatedAt: saved?.updated_at ?? null });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.put("/layers/:name/style", checkQuery(), async (req, res) => {
+  const layer = getLayer(req, res, "editor");
+  if (!layer) return;
+  try {
+    const style = req.body?.style ?? req.body;
+    checkStyle(style, await getLayerMeta(layer));
+    await pool.query(
+      `INSERT INTO ${ident(STYLES_TABLE)} (layer, style, updated_by) VALUES ($1, $2, $3)
+       ON CONFLICT (layer) DO UPDATE SET style = EXCLUDED.style, updated_by = EXCLUDED.updated_by, updated_at = now()`,
+      [layer.name, JSON.stringify(style), editorName(req)]
+    );
+    broadcast("style", { layer: layer.name, style }, layer.name);
+    res.json({ layer: layer.name, style });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.delete("/layers/:name/style", checkQuery(), async (req, res) => {
+  const layer = getLayer(req, res, "editor");
+  if (!layer) return;
+  try {
+    await pool.query(`DELETE FROM ${ident(STYLES_TABLE)} WHERE layer = $1`, [layer.name]);
+    broadcast("style", { layer: layer.name, style: null }, layer.name);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 27) POST /auth/login { username, password } → { token, expiresAt, user }
+app.post("/auth/login", checkQuery(), async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user = authConfig.users.find(u => u.name === username);
+    if (!user || !(await checkPassword(password, user.password))) {
+      return res.status(401).json({ error: "Wrong username or password" });
+    }
+    const exp = Math.floor(Date.now() / 1000) + JWT_TTL;
+    res.json({
+      token: signToken({ sub: user.name, role: user.role, iat: Math.floor(Date.now() / 1000), exp }),
+      expiresAt: new Date(exp * 1000).toISOString(),
+      user: { name: user.name, role: user.role },
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 28) GET /auth/me → who the credentials belong to, and their role per layer
+app.get("/auth/me", checkQuery(), (req, res) => {
+  const access = {};
+  for (const layer of layers.values()) {
+    const a = layerAccess(req.user, layer);
+    if (a) access[layer.name] = { role: a.role, rowFilter: a.filter };
+  }
+  res.json({ name: req.user.name, role: req.user.role, via: req.user.via, layers: access });
+});
+
+// 29) /views → saved map views (own + shared); GET list, POST create
+//     { name, shared?, state: { center, zoom, layer, renderMode, filter, selected, style } }
+app.get("/views", checkQuery(), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, name, owner, shared, created_at AS "createdAt", updated_at AS "updatedAt"
+       FROM ${ident(VIEWS_TABLE)}
+       WHERE shared OR owner = $1 OR $2
+       ORDER BY updated_at DESC`,
+      [req.user.name, hasRole(req, "admin")]
+    );
+    res.set("Cache-Control", "no-store");
+    res.json({ views: rows });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post("/views", checkQuery(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    checkView(body);
+    const { rows } = await pool.query(
+      `INSERT INTO ${ident(VIEWS_TABLE)} (id, name, owner, shared, state)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${VIEW_COLUMNS}`,
+      [crypto.randomBytes(9).toString("base64url"), body.name.trim(), req.user.name, !!body.shared, JSON.stringify(body.state)]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 30) GET/PUT/DELETE /views/:id → one view (PUT/DELETE: owner or admin)
+app.get("/views/:id", checkQuery(), async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json(await getView(req, req.params.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.put("/views/:id", checkQuery(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    checkView(body, { partial: true });
+    requireViewOwner(req, await getView(req, req.params.id));
+    const { rows } = await pool.query(
+      `UPDATE ${ident(VIEWS_TABLE)}
+       SET name = COALESCE($2, name), shared = COALESCE($3, shared), state = COALESCE($4, state), updated_at = now()
+       WHERE id = $1
+       RETURNING ${VIEW_COLUMNS}`,
+      [req.params.id, body.name?.trim() ?? null, body.shared ?? null, body.state ? JSON.stringify(body.state) : null]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.delete("/views/:id", checkQuery(), async (req, res) => {
+  try {
+    requireViewOwner(req, await getView(req, req.params.id));
+    await pool.query(`DELETE FROM ${ident(VIEWS_TABLE)} WHERE id = $1`, [req.params.id]);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 31) GET /search?q=&limit=10&layers=a,b → best matches across the layers this
+//     user can see, ranked: { query, results: [{ layer, layerTitle, id, label, rank, bbox }] }
+app.get("/search", checkQuery(SEARCH_QUERY), async (req, res) => {
+  const text = String(req.query.q || "").trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), SEARCH_MAX_LIMIT);
+  const only = req.query.layers ? new Set(String(req.query.layers).split(",").map(s => s.trim())) : null;
+  if (text.length < SEARCH_MIN_LENGTH) {
+    return res.status(400).json({ error: `q needs at least ${SEARCH_MIN_LENGTH} characters` });
+  }
+  try {
+    const jobs = [];
+    for (const layer of layers.values()) {
+      const access = layerAccess(req.user, layer);
+      if (!access || (only && !only.has(layer.name)) || !searchColumns(layer).length) continue;
+      jobs.push(searchLayer(layer, access, text, limit));
+    }
+    const results = (await Promise.all(jobs)).flat()
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, limit);
+    res.set("Cache-Control", "no-store");
+    res.json({ query: text, results });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 32) GET /reports?view=<id> | ?layer=&ids=1,2,3 → printable report of the
+//     selected features: &paper=A4|A3 &orientation=landscape|portrait
+//     &scale=2500 (1:2500, else fitted) &title= &format=pdf|html
+app.get("/reports", checkQuery(REPORT_QUERY), async (req, res) => {
+  let dir = null;
+  try {
+    const format = String(req.query.format || "pdf").toLowerCase();
+    if (!["pdf", "html"].includes(format)) throw httpError(400, "format must be pdf or html");
+    const layout = reportLayout(req.query);
+    const source = await reportSource(req, res);
+    if (!source) return;
+    const html = await buildReport(source, layout, req.rowFilter, req.user);
+    res.set("Cache-Control", "no-store");
+    if (format === "html") return res.type("html").send(html);
+
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "webgis-report-"));
+    const pdf = await renderPdf(html, dir);
+    res.attachment(`${safeName(source.title)}.pdf`);
+    res.type("application/pdf").send(pdf);
+  } catch (err) {
+    sendError(res, err);
+  } finally {
+    if (dir) fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+});
+
+// 33) GET /qa/:name?checks=invalid,overlaps,gaps,duplicates,containment
+//     &min_area=0.01&max_gap=10 (m²) + ?bbox / ?filter / ?ids
+//     → { layer, checks, skipped, counts, issues: [{ type, ids, message, location, geometry, fix }] }
+app.get("/qa/:name", checkQuery(QA_QUERY), async (req, res) => {
+  const layer = getLayer(req, res);
+  if (!layer) return;
+  try {
+    const opts = qaOptions(req.query);
+    const meta = await getLayerMeta(layer);
+    res.set("Cache-Control", "no-store");
+    res.json(await runQualityChecks(req, layer, meta, opts));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// 34) GET /metrics → Prometheus text format (admin). Scrape with an admin API
+//     key: authorization: { type: ApiKey, credentials: <key> } in the scrape config.
+gauge("webgis_sse_clients", "Open /events streams", () => [[{}, sseClients.size]]);
+
+app.get("/metrics", requireRole("admin"), checkQuery(), (_req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Unknown routes, and errors raised outside the handlers (bad JSON bodies,
+// bodies over the size limit)
+app.use((req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+});
+
+app.use((err, _req, res, _next) => {
+  sendError(res, err);
+});
+
+/* ───────────── Start server ───────────── */
+const port = Number(process.env.PORT || 3000);
+app.listen(port, () => {
+  log.info("API running", { port });
+});
+
+setupSchema().finally(() => startChangeListener());
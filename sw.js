@@ -0,0 +1,88 @@
+/* ============================================================================
+   sw.js — service worker for offline use (registered by script.js, section 21)
+   Purpose:
+     - Keep the app shell (page, script.js, style.css, CDN libraries) in
+       Cache Storage so the page opens without a connection
+     - Serve basemap tiles that were saved for an area ("Save area offline")
+       from IndexedDB, falling back to the network
+   API calls are not touched here: script.js caches layers and queues edits
+   itself in the same IndexedDB database.
+   ============================================================================ */
+const SHELL_CACHE = 'webgis-shell-v1';
+const SHELL_FILES = ['./', 'script.js', 'style.css', 'logo.png'];
+const CDN_HOSTS = ['unpkg.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+const SHELL_DESTINATIONS = ['document', 'script', 'style', 'image', 'font'];
+const TILE_HOSTS = /(^|\.)tile\.openstreetmap\.org$/;
+
+// same database and stores as script.js (OFFLINE_DB); whoever opens it first creates them
+function offlineDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open('webgis-offline', 1);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore('layers');
+      db.createObjectStore('tiles');
+      db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function savedTile(url) {
+  const db = await offlineDb();
+  return new Promise(resolve => {
+    const req = db.transaction('tiles').objectStore('tiles').get(tileKey(url));
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => resolve(null);
+  });
+}
+
+// a.tile… / b.tile… / c.tile… are the same tile
+function tileKey(url) {
+  return url.replace(/\/\/[a-d]\.tile\./, '//tile.');
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) if (key !== SHELL_CACHE) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  // basemap: saved tile first, network otherwise
+  if (TILE_HOSTS.test(url.hostname)) {
+    event.respondWith((async () => {
+      const blob = await savedTile(req.url).catch(() => null);
+      if (blob) return new Response(blob, { headers: { 'Content-Type': blob.type || 'image/png' } });
+      return fetch(req);
+    })());
+    return;
+  }
+
+  // app shell + libraries: network first (so updates arrive), cache when offline
+  if (!SHELL_DESTINATIONS.includes(req.destination)) return;
+  if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith((async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      try {
+        const resp = await fetch(req);
+        if (resp.ok || resp.type === 'opaque') cache.put(req, resp.clone());
+        return resp;
+      } catch (err) {
+        const hit = await cache.match(req, { ignoreSearch: req.mode === 'navigate' });
+        if (hit) return hit;
+        throw err;
+      }
+    })());
+  }
+});